@@ -0,0 +1,39 @@
+/**
+ * Allmaps Annotation Client
+ * Looks up the georeference annotation Allmaps holds for an IIIF image service
+ */
+
+import { parseAnnotation, GeoreferencedMap } from "@allmaps/annotation";
+import { upstreamFetch } from "./upstream.js";
+
+const DEFAULT_ANNOTATIONS_URL = "https://annotations.allmaps.org";
+
+let annotationsUrl = DEFAULT_ANNOTATIONS_URL;
+
+/**
+ * Configure the Allmaps annotations server (ALLMAPS_ANNOTATIONS_URL)
+ */
+export function configureAllmaps(value?: string): void {
+  annotationsUrl = (value || DEFAULT_ANNOTATIONS_URL).replace(/\/$/, "");
+}
+
+/**
+ * Fetch the Georeferenced Maps Allmaps has for an image service
+ * Returns null when Allmaps has no annotation for it
+ */
+export async function fetchAllmapsGeoreferencedMaps(imageServiceId: string): Promise<GeoreferencedMap[] | null> {
+  const url = `${annotationsUrl}/?url=${encodeURIComponent(`${imageServiceId}/info.json`)}`;
+
+  const response = await upstreamFetch(url, {
+    headers: {
+      "Accept": "application/json",
+    },
+  });
+
+  if (!response.ok) {
+    if (response.status === 404) return null;
+    throw new Error(`Allmaps API error: ${response.status} ${response.statusText}`);
+  }
+
+  return parseAnnotation(await response.json());
+}
@@ -0,0 +1,97 @@
+/**
+ * IIIF Tile Cache
+ * Stores rendered WMS tiles in the Workers Cache API, keyed on the normalized IIIF request
+ */
+
+const CACHE_NAME = "iiif-tiles";
+
+// Cache API keys must be URLs; this host is never fetched
+const CACHE_KEY_BASE = "https://tile-cache.mapwarper-allmaps-bridge.invalid";
+
+/** Default tile TTL in seconds (1 day) */
+export const DEFAULT_TILE_CACHE_TTL = 86400;
+
+// Browsers keep tiles only about as long as map metadata is cached: tile URLs don't change after a
+// re-warp, only the tile cache key does, so a long browser max-age would keep showing the old warp
+const TILE_BROWSER_MAX_AGE = 300;
+
+export type CacheStatus = "HIT" | "MISS" | "BYPASS";
+
+export interface TileCacheKeyParts {
+  instance: string;
+  identifier: string;
+  updatedAt: string;
+  region: { x: number; y: number; width: number; height: number };
+  size: { width: number; height: number };
+  rotation: string;
+  quality: string;
+  format: string;
+}
+
+/**
+ * Parse the configured TTL, falling back to the default for missing or invalid values
+ * A TTL of 0 disables caching
+ */
+export function getTileCacheTtl(value?: string): number {
+  if (value === undefined || value === "") return DEFAULT_TILE_CACHE_TTL;
+  const ttl = parseInt(value, 10);
+  return Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_TILE_CACHE_TTL;
+}
+
+/**
+ * Cache-Control header for a tile response
+ */
+export function tileCacheControl(ttl: number): string {
+  return ttl > 0 ? `public, max-age=${Math.min(ttl, TILE_BROWSER_MAX_AGE)}` : "no-cache";
+}
+
+/**
+ * Build a cache key from the resolved (pixel) region and size
+ * Including updated_at means tiles are invalidated whenever the map changes
+ */
+export function buildTileCacheKey(parts: TileCacheKeyParts): string {
+  const { instance, identifier, updatedAt, region, size, rotation, quality, format } = parts;
+  const version = encodeURIComponent(updatedAt || "0");
+  return `${CACHE_KEY_BASE}/${instance}/${identifier}/${version}/` +
+    `${region.x},${region.y},${region.width},${region.height}/` +
+    `${size.width},${size.height}/${rotation}/${quality}.${format}`;
+}
+
+/**
+ * Open the tile cache, or null when the Cache API is unavailable
+ */
+async function openCache(): Promise<Cache | null> {
+  if (typeof caches === "undefined") return null;
+  return caches.open(CACHE_NAME);
+}
+
+/**
+ * Look up a cached tile
+ */
+export async function getCachedTile(key: string): Promise<{ buffer: ArrayBuffer; contentType: string } | null> {
+  const cache = await openCache();
+  if (!cache) return null;
+
+  const cached = await cache.match(key);
+  if (!cached) return null;
+
+  return {
+    buffer: await cached.arrayBuffer(),
+    contentType: cached.headers.get("Content-Type") || "image/png",
+  };
+}
+
+/**
+ * Store a tile in the cache for `ttl` seconds
+ */
+export async function putCachedTile(key: string, buffer: ArrayBuffer, contentType: string, ttl: number): Promise<void> {
+  const cache = await openCache();
+  if (!cache || ttl <= 0) return;
+
+  await cache.put(key, new Response(buffer, {
+    headers: {
+      "Content-Type": contentType,
+      "Cache-Control": `public, max-age=${ttl}`,
+    },
+  }));
+}
@@ -0,0 +1,197 @@
+/**
+ * IIIF Collections
+ * Presents MapWarper's maps and layers indexes as IIIF Presentation 3.0 Collections of bridge manifests
+ */
+
+import { getClient } from "./instances.js";
+import { IIIFRequestError, LayerSummary, ListPage, MapSummary } from "./types.js";
+
+/** Maps or layers listed in each page of the maps and layers collections */
+export const COLLECTION_PAGE_SIZE = 50;
+
+const PRESENTATION_CONTEXT = "http://iiif.io/api/presentation/3/context.json";
+
+/** Listing filters taken from the collection URL */
+export interface CollectionQuery {
+  /** Free text search (?q=) */
+  query?: string;
+  /** Only maps MapWarper has warped (?rectified=1) */
+  rectifiedOnly?: boolean;
+  /** Page of maps or layers (?page=); the collection of pages when absent */
+  page?: number;
+}
+
+/**
+ * Parse the ?page= parameter of a collection URL
+ */
+export function parseCollectionPage(value: string | undefined): number | undefined {
+  if (value === undefined || value === "") return undefined;
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new IIIFRequestError(`Invalid page: ${value}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Collection URL carrying the listing filters, so pages and search results can be bookmarked
+ */
+function collectionUrl(base: string, { query, rectifiedOnly, page }: CollectionQuery): string {
+  const params = new URLSearchParams();
+  if (query) params.set("q", query);
+  if (rectifiedOnly) params.set("rectified", "1");
+  if (page) params.set("page", page.toString());
+  const search = params.toString();
+  return search ? `${base}?${search}` : base;
+}
+
+/**
+ * Host name of an instance, used in collection labels
+ */
+function instanceHost(instance: string): string {
+  return new URL(getClient(instance).baseUrl).host;
+}
+
+function mapsLabel(instance: string, { query, rectifiedOnly }: CollectionQuery): string {
+  const label = `${rectifiedOnly ? "Rectified maps" : "Maps"} on ${instanceHost(instance)}`;
+  return query ? `${label} matching "${query}"` : label;
+}
+
+/**
+ * Manifest reference for a map, with a thumbnail from the bridge's image service
+ */
+function mapManifestRef(baseUrl: string, instance: string, map: MapSummary) {
+  const iiifBase = `${baseUrl}/${instance}/maps/${map.id}/iiif`;
+  return {
+    id: `${iiifBase}/manifest.json`,
+    type: "Manifest",
+    label: { en: [map.title || `Map ${map.id}`] },
+    thumbnail: [
+      {
+        id: `${iiifBase}/full/!200,200/0/default.jpg`,
+        type: "Image",
+        format: "image/jpeg",
+        service: [{ id: iiifBase, type: "ImageService3", profile: "level1" }],
+      },
+    ],
+  };
+}
+
+/**
+ * Manifest reference for a layer's mosaic manifest
+ */
+function layerManifestRef(baseUrl: string, instance: string, layer: LayerSummary) {
+  return {
+    id: `${baseUrl}/${instance}/mosaic/${layer.id}/manifest.json`,
+    type: "Manifest",
+    label: { en: [layer.name || `Layer ${layer.id}`] },
+    summary: { en: [layer.description || `${layer.mapsCount} maps`] },
+  };
+}
+
+/**
+ * Top-level collection of an instance: its layers, all maps and rectified maps
+ */
+export function buildRootCollection(baseUrl: string, instance: string): object {
+  const base = `${baseUrl}/${instance}/collection`;
+  return {
+    "@context": PRESENTATION_CONTEXT,
+    id: `${base}.json`,
+    type: "Collection",
+    label: { en: [`MapWarper on ${instanceHost(instance)}`] },
+    items: [
+      { id: `${base}/layers.json`, type: "Collection", label: { en: [`Layers on ${instanceHost(instance)}`] } },
+      { id: `${base}/maps.json`, type: "Collection", label: { en: [mapsLabel(instance, {})] } },
+      {
+        id: collectionUrl(`${base}/maps.json`, { rectifiedOnly: true }),
+        type: "Collection",
+        label: { en: [mapsLabel(instance, { rectifiedOnly: true })] },
+      },
+    ],
+  };
+}
+
+/**
+ * Collection of a paged index: without a page, a collection of page collections; with one, that page's manifests
+ */
+function pagedCollection<T>(
+  base: string,
+  collectionQuery: CollectionQuery,
+  label: string,
+  noun: string,
+  listing: ListPage<T>,
+  manifestRef: (item: T) => object
+): object {
+  const { query, rectifiedOnly, page } = collectionQuery;
+  const indexId = collectionUrl(base, { query, rectifiedOnly });
+
+  if (page === undefined) {
+    const pages = Array.from({ length: listing.totalPages }, (_, i) => i + 1);
+    return {
+      "@context": PRESENTATION_CONTEXT,
+      id: indexId,
+      type: "Collection",
+      label: { en: [label] },
+      summary: { en: [`${listing.totalEntries} ${noun}`] },
+      items: pages.map(p => ({
+        id: collectionUrl(base, { query, rectifiedOnly, page: p }),
+        type: "Collection",
+        label: {
+          en: [`${label}, ${(p - 1) * COLLECTION_PAGE_SIZE + 1}–${Math.min(p * COLLECTION_PAGE_SIZE, listing.totalEntries)}`],
+        },
+      })),
+    };
+  }
+
+  if (page > Math.max(listing.totalPages, 1)) {
+    throw new IIIFRequestError(`Page ${page} is past the last page (${listing.totalPages})`);
+  }
+
+  return {
+    "@context": PRESENTATION_CONTEXT,
+    id: collectionUrl(base, collectionQuery),
+    type: "Collection",
+    label: { en: [`${label}, page ${page} of ${listing.totalPages}`] },
+    partOf: [{ id: indexId, type: "Collection" }],
+    items: listing.items.map(manifestRef),
+  };
+}
+
+/**
+ * Layers collection (optionally matching a search), paged like the maps collection; pages list mosaic manifests
+ */
+export async function buildLayersCollection(baseUrl: string, instance: string, collectionQuery: CollectionQuery): Promise<object> {
+  const { query, page } = collectionQuery;
+  const listing = await getClient(instance).listLayers({ page: page ?? 1, perPage: COLLECTION_PAGE_SIZE, query });
+  const label = `Layers on ${instanceHost(instance)}`;
+
+  return pagedCollection(
+    `${baseUrl}/${instance}/collection/layers.json`,
+    { query, page },
+    query ? `${label} matching "${query}"` : label,
+    "layers",
+    listing,
+    layer => layerManifestRef(baseUrl, instance, layer)
+  );
+}
+
+/**
+ * Maps collection: without a page, a collection of page collections; with one, that page's map manifests
+ */
+export async function buildMapsCollection(baseUrl: string, instance: string, collectionQuery: CollectionQuery): Promise<object> {
+  const { query, rectifiedOnly, page } = collectionQuery;
+  const listing = await getClient(instance).listMaps({
+    page: page ?? 1,
+    perPage: COLLECTION_PAGE_SIZE,
+    query,
+    warpedOnly: rectifiedOnly,
+  });
+
+  return pagedCollection(
+    `${baseUrl}/${instance}/collection/maps.json`,
+    collectionQuery,
+    mapsLabel(instance, collectionQuery),
+    "maps",
+    listing,
+    map => mapManifestRef(baseUrl, instance, map)
+  );
+}
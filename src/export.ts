@@ -0,0 +1,152 @@
+/**
+ * Georeferencing Exports
+ * Writes a Georeferenced Map as GeoJSON, a QGIS GCP points file, a world file or a GDAL VRT
+ */
+
+import type { GeoreferencedMap } from "@allmaps/annotation";
+import { GcpTransformer } from "@allmaps/transform";
+import { ExportError } from "./types.js";
+import { minGcps, toTransformationType } from "./transformation.js";
+
+/** GDAL geotransform: [originX, pixelWidth, rowRotation, originY, columnRotation, pixelHeight] */
+export type GeoTransform = [number, number, number, number, number, number];
+
+// WGS 84 as QGIS expects it on the #CRS line of a .points file
+const WGS84_WKT = 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],PRIMEM["Greenwich",0],UNIT["degree",0.0174532925199433]]';
+
+// Recursion depth for densifying mask edges under non-linear transformations
+const MASK_MAX_DEPTH = 6;
+
+/**
+ * Whether a map warps with a first order (affine) polynomial, the only kind world files and VRT geotransforms describe
+ */
+export function isAffine(georeferencedMap: GeoreferencedMap): boolean {
+  return toTransformationType(georeferencedMap.transformation) === "polynomial1";
+}
+
+/**
+ * Least-squares affine fit of pixel (x, y) to (lon, lat), as a GDAL geotransform
+ * Pixel coordinates are measured from the top-left corner of the image
+ */
+export function fitGeoTransform(gcps: GeoreferencedMap["gcps"]): GeoTransform {
+  if (gcps.length < 3) {
+    throw new ExportError("An affine transformation needs at least 3 GCPs");
+  }
+
+  // Normal equations (AᵀA)c = Aᵀb with rows [1, x, y]
+  const ata = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+  const atLon = [0, 0, 0];
+  const atLat = [0, 0, 0];
+  for (const { resource: [x, y], geo: [lon, lat] } of gcps) {
+    const row = [1, x, y];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) ata[i][j] += row[i] * row[j];
+      atLon[i] += row[i] * lon;
+      atLat[i] += row[i] * lat;
+    }
+  }
+
+  const [a0, a1, a2] = solve3(ata, atLon);
+  const [b0, b1, b2] = solve3(ata, atLat);
+  return [a0, a1, a2, b0, b1, b2];
+}
+
+// Cramer's rule; collinear GCPs make the system singular
+function solve3(m: number[][], v: number[]): number[] {
+  const det = (a: number[][]) =>
+    a[0][0] * (a[1][1] * a[2][2] - a[1][2] * a[2][1]) -
+    a[0][1] * (a[1][0] * a[2][2] - a[1][2] * a[2][0]) +
+    a[0][2] * (a[1][0] * a[2][1] - a[1][1] * a[2][0]);
+
+  // Relative to the diagonal, as pixel coordinates make the determinant large
+  const d = det(m);
+  if (Math.abs(d) <= 1e-12 * Math.abs(m[0][0] * m[1][1] * m[2][2])) {
+    throw new ExportError("GCPs are collinear, so no affine transformation fits them");
+  }
+  return [0, 1, 2].map(column => det(m.map((row, i) => row.map((value, j) => (j === column ? v[i] : value)))) / d);
+}
+
+/**
+ * GCPs as points and the mask transformed to geographic coordinates, as a GeoJSON FeatureCollection
+ */
+export function toGeoJson(georeferencedMap: GeoreferencedMap): object {
+  const { gcps, resourceMask, transformation } = georeferencedMap;
+  const type = toTransformationType(transformation);
+  if (gcps.length < minGcps(type)) {
+    throw new ExportError(`A ${type} transformation needs at least ${minGcps(type)} GCPs, but the map has ${gcps.length}`);
+  }
+  const transformer = new GcpTransformer(gcps.map(({ resource, geo }) => ({ resource, geo })), type);
+  // Straight edges stay straight under affine warps; other warps bend them
+  const maxDepth = isAffine(georeferencedMap) ? 0 : MASK_MAX_DEPTH;
+  const [geoMask] = transformer.transformToGeo([resourceMask], { maxDepth });
+
+  return {
+    type: "FeatureCollection",
+    features: [
+      {
+        type: "Feature",
+        properties: { kind: "mask", resource: georeferencedMap.resource.id, transformation: transformation ?? null },
+        geometry: { type: "Polygon", coordinates: [[...geoMask, geoMask[0]]] },
+      },
+      ...gcps.map(({ resource: [x, y], geo }, index) => ({
+        type: "Feature",
+        properties: { kind: "gcp", index, x, y },
+        geometry: { type: "Point", coordinates: geo },
+      })),
+    ],
+  };
+}
+
+/**
+ * QGIS georeferencer GCP file (.points); QGIS counts pixel rows downwards as negative Y
+ */
+export function toQgisPoints(georeferencedMap: GeoreferencedMap): string {
+  const rows = georeferencedMap.gcps.map(({ resource: [x, y], geo: [lon, lat] }) => `${lon},${lat},${x},${-y},1,0,0,0`);
+  return [`#CRS: ${WGS84_WKT}`, "mapX,mapY,sourceX,sourceY,enable,dX,dY,residual", ...rows].join("\n") + "\n";
+}
+
+/**
+ * Geotransform for the image served at `width`×`height` instead of its full size
+ */
+export function scaleGeoTransform(
+  [a0, a1, a2, b0, b1, b2]: GeoTransform,
+  fullSize: { width: number; height: number },
+  size: { width: number; height: number }
+): GeoTransform {
+  const scaleX = fullSize.width / size.width;
+  const scaleY = fullSize.height / size.height;
+  return [a0, a1 * scaleX, a2 * scaleY, b0, b1 * scaleX, b2 * scaleY];
+}
+
+/**
+ * World file for an image; unlike a geotransform it refers to the centre of the top-left pixel
+ */
+export function toWorldFile([a0, a1, a2, b0, b1, b2]: GeoTransform): string {
+  return [a1, b1, a2, b2, a0 + a1 / 2 + a2 / 2, b0 + b1 / 2 + b2 / 2].join("\n") + "\n";
+}
+
+/**
+ * GDAL VRT placing the `width`×`height` image at `imageUrl` (read through /vsicurl/) with an affine geotransform
+ */
+export function toVrt(geoTransform: GeoTransform, imageUrl: string, { width, height }: { width: number; height: number }): string {
+  const bands = ["Red", "Green", "Blue"].map((color, index) => `  <VRTRasterBand dataType="Byte" band="${index + 1}">
+    <ColorInterp>${color}</ColorInterp>
+    <SimpleSource>
+      <SourceFilename relativeToVRT="0">/vsicurl/${escapeXml(imageUrl)}</SourceFilename>
+      <SourceBand>${index + 1}</SourceBand>
+      <SrcRect xOff="0" yOff="0" xSize="${width}" ySize="${height}"/>
+      <DstRect xOff="0" yOff="0" xSize="${width}" ySize="${height}"/>
+    </SimpleSource>
+  </VRTRasterBand>`);
+
+  return `<VRTDataset rasterXSize="${width}" rasterYSize="${height}">
+  <SRS dataAxisToSRSAxisMapping="2,1">EPSG:4326</SRS>
+  <GeoTransform>${geoTransform.join(", ")}</GeoTransform>
+${bands.join("\n")}
+</VRTDataset>
+`;
+}
+
+function escapeXml(value: string): string {
+  return value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
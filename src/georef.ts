@@ -0,0 +1,128 @@
+/**
+ * Georeference Annotation Builder
+ * Converts MapWarper GCPs and masks into Allmaps Georeferenced Maps
+ */
+
+import type { GeoreferencedMap } from "@allmaps/annotation";
+import { assertImageAvailable, getAvailableMapInfo, getMapGcps, getMapMask } from "./iiif.js";
+import { MapInfo, MapNotFoundError, MapUnavailableError, SkippedMap, UpstreamError } from "./types.js";
+import { toAllmapsTransformation } from "./transformation.js";
+import { mapConcurrently } from "./upstream.js";
+import { largestOuterRing } from "../sync/geometry.js";
+
+/**
+ * Flip mask coordinates from MapWarper (Y=0 at bottom) to IIIF (Y=0 at top)
+ */
+export function toIiifMask(maskCoords: number[][], imageHeight: number): number[][] {
+  return maskCoords.map(([x, y]) => [x, imageHeight - y]);
+}
+
+/** IIIF image service a Georeferenced Map points at */
+export interface ImageServiceRef {
+  id: string;
+  type: "ImageService2" | "ImageService3";
+}
+
+/**
+ * Build a Georeferenced Map for a MapWarper map
+ * Returns null when the map has no GCPs; throws MapUnavailableError when it has no image
+ * `knownMapInfo` saves looking the map up again, e.g. when it came from a layer's map listing
+ */
+export async function getGeoreferencedMap(
+  instance: string,
+  identifier: string,
+  service: ImageServiceRef,
+  skipCache = false,
+  knownMapInfo?: MapInfo
+): Promise<GeoreferencedMap | null> {
+  if (knownMapInfo) assertImageAvailable(knownMapInfo);
+  const [mapInfo, gcps, mask] = await Promise.all([
+    knownMapInfo ?? getAvailableMapInfo(instance, identifier, skipCache),
+    getMapGcps(instance, identifier),
+    getMapMask(instance, identifier),
+  ]);
+
+  if (gcps.length === 0) return null;
+
+  // Allmaps masks are a single ring, so use the largest part of the MapWarper mask
+  // (or the image perimeter if there is no mask)
+  const resourceMask = mask
+    ? toIiifMask(largestOuterRing(mask), mapInfo.height)
+    : [[0, 0], [mapInfo.width, 0], [mapInfo.width, mapInfo.height], [0, mapInfo.height]];
+
+  return {
+    type: "GeoreferencedMap",
+    "@context": "https://schemas.allmaps.org/map/2/context.json",
+    resource: {
+      id: service.id,
+      type: service.type,
+      width: mapInfo.width,
+      height: mapInfo.height,
+    },
+    gcps: gcps.map(gcp => ({
+      resource: [gcp.x, gcp.y],
+      geo: [gcp.lon, gcp.lat],
+    })),
+    resourceMask: resourceMask as GeoreferencedMap["resourceMask"],
+    // Warp the same way MapWarper does
+    transformation: toAllmapsTransformation(mapInfo.transform_options, gcps.length),
+  };
+}
+
+// Number of maps fetched concurrently when building a mosaic
+const MOSAIC_CONCURRENCY = 20;
+
+/** Skip reason for maps that have no GCPs yet */
+export const NO_GCPS = "no GCPs";
+
+/**
+ * Why a single map's georeferencing failed, or undefined when the failure isn't about that map
+ * (e.g. MapWarper being unavailable, which would fail every other map too)
+ */
+function skipReason(error: unknown): string | undefined {
+  if (error instanceof MapUnavailableError) return error.reason;
+  if (error instanceof MapNotFoundError) return "not found on MapWarper";
+  if (error instanceof UpstreamError && error.status !== 503) return error.message;
+  return undefined;
+}
+
+/**
+ * Build Georeferenced Maps for several MapWarper maps
+ * Maps without GCPs, without an image or that fail on their own are skipped and returned in `skipped`
+ */
+export async function getGeoreferencedMaps(
+  instance: string,
+  maps: Array<{ identifier: string; service: ImageServiceRef; mapInfo?: MapInfo }>,
+  skipCache = false
+): Promise<{ georeferencedMaps: GeoreferencedMap[]; skipped: SkippedMap[] }> {
+  const georeferencedMaps: GeoreferencedMap[] = [];
+  const skipped: SkippedMap[] = [];
+
+  const results = await mapConcurrently(maps, MOSAIC_CONCURRENCY, async m => {
+    try {
+      return await getGeoreferencedMap(instance, m.identifier, m.service, skipCache, m.mapInfo) ?? NO_GCPS;
+    } catch (error) {
+      const reason = skipReason(error);
+      if (reason === undefined) throw error;
+      return reason;
+    }
+  });
+  results.forEach((result, index) => {
+    if (typeof result === "string") {
+      skipped.push({ id: maps[index].identifier, reason: result });
+    } else {
+      georeferencedMaps.push(result);
+    }
+  });
+
+  return { georeferencedMaps, skipped };
+}
+
+/**
+ * Describe skipped maps grouped by reason, e.g. "skipped (no GCPs): 1002, 1007"
+ */
+export function describeSkipped(skipped: SkippedMap[]): string {
+  const byReason = new Map<string, string[]>();
+  skipped.forEach(({ id, reason }) => byReason.set(reason, [...(byReason.get(reason) ?? []), id]));
+  return [...byReason].map(([reason, ids]) => `skipped (${reason}): ${ids.join(", ")}`).join("; ");
+}
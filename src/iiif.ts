@@ -3,17 +3,35 @@
  * Translates IIIF Image API 3.0 parameters to MapWarper WMS requests
  */
 
-import { MapWarperClient } from "./mapwarper.js";
-import { MapInfo, LayerInfo, MapNotFoundError, LayerNotFoundError } from "./types.js";
+import { MapInfo, LayerInfo, Gcp, ListPage, ListQuery, MapNotFoundError, LayerNotFoundError, IIIFRequestError, InstanceNotFoundError, MapUnavailableError } from "./types.js";
+import { getClient } from "./instances.js";
+import { upstreamFetch } from "./upstream.js";
+import { CacheStatus, buildTileCacheKey, getCachedTile, putCachedTile } from "./cache.js";
+import { MetadataCache } from "./metadata-cache.js";
+import { parseRegion, parseSize, parseRotation, parseQuality, parseFormat, convertV2Size } from "./params.js";
+import { POSTPROCESS_MIME_TYPES, needsPostProcessing, decodeImage, encodeImage, transformImage, RgbaImage } from "./image.js";
+import { DEFAULT_WMS_MAX_SIZE, ImageLimits } from "./limits.js";
+import { createCanvas, needsStitching, pasteChunk, planChunks } from "./stitch.js";
+import type { MapWarperClient } from "./mapwarper.js";
+import type { ParsedRegion, ParsedSize } from "./params.js";
+import type { MultiPolygon } from "../sync/geometry.js";
+import { imageUnavailability, LOADING_RETRY_AFTER } from "../sync/map-status.js";
 
-// Hardcoded MapWarper base URL
-const client = new MapWarperClient("https://mapwarper.net");
+// Metadata caches to avoid repeated API calls
+const mapCache = new MetadataCache<MapInfo>("map", 1000);
+const layerCache = new MetadataCache<LayerInfo>("layer", 100);
+// Listing pages are only read again by the same mosaic, so they stay in memory
+const layerMapsCache = new MetadataCache<ListPage<MapInfo>>("layer-maps", 200, { shared: false });
 
-// Map cache to avoid repeated API calls
-const mapCache = new Map<string, MapInfo>();
-const layerCache = new Map<string, LayerInfo>();
+// WMS chunks of a stitched image fetched at the same time
+const CHUNK_CONCURRENCY = 4;
+
+/** IIIF Image API major version */
+export type IIIFVersion = 2 | 3;
 
 export interface IIIFImageParams {
+  version?: IIIFVersion;
+  instance: string;
   identifier: string;
   region: string;
   size: string;
@@ -22,190 +40,240 @@ export interface IIIFImageParams {
   format: string;
 }
 
-export interface ParsedRegion {
-  x: number;
-  y: number;
-  width: number;
-  height: number;
-}
-
 /**
  * Get map info with caching
  */
-async function getMapInfo(id: string): Promise<MapInfo> {
-  const cached = mapCache.get(id);
-  if (cached) return cached;
+async function getMapInfo(instance: string, id: string, skipCache = false): Promise<MapInfo> {
+  const client = getClient(instance);
+  const key = `${instance}:${id}`;
+  if (!skipCache) {
+    const cached = await mapCache.get(key);
+    if (cached) return cached;
+  }
   
   const info = await client.getMap(id);
-  mapCache.set(id, info);
+  await mapCache.set(key, info);
   return info;
 }
 
 /**
- * Parse IIIF region parameter
+ * Fetch one WMS GetMap image
  */
-function parseRegion(region: string, imageWidth: number, imageHeight: number): ParsedRegion {
-  if (region === "full") {
-    return { x: 0, y: 0, width: imageWidth, height: imageHeight };
-  }
-  
-  if (region === "square") {
-    const size = Math.min(imageWidth, imageHeight);
-    const x = Math.floor((imageWidth - size) / 2);
-    const y = Math.floor((imageHeight - size) / 2);
-    return { x, y, width: size, height: size };
-  }
-  
-  if (region.startsWith("pct:")) {
-    const [pctX, pctY, pctW, pctH] = region.slice(4).split(",").map(Number);
-    return {
-      x: Math.round(imageWidth * pctX / 100),
-      y: Math.round(imageHeight * pctY / 100),
-      width: Math.round(imageWidth * pctW / 100),
-      height: Math.round(imageHeight * pctH / 100),
-    };
-  }
-  
-  // Absolute pixel values: x,y,w,h
-  const [x, y, width, height] = region.split(",").map(Number);
-  return { x, y, width, height };
-}
+async function fetchWms(url: string): Promise<ArrayBuffer> {
+  const response = await upstreamFetch(url);
 
-/**
- * Parse IIIF size parameter
- */
-function parseSize(size: string, regionWidth: number, regionHeight: number): { width: number; height: number } {
-  if (size === "max" || size === "full") {
-    return { width: regionWidth, height: regionHeight };
-  }
-  
-  // ^w,h or w,h - explicit dimensions
-  const upscale = size.startsWith("^");
-  const sizeStr = upscale ? size.slice(1) : size;
-  
-  if (sizeStr.startsWith("pct:")) {
-    const pct = parseFloat(sizeStr.slice(4));
-    return {
-      width: Math.round(regionWidth * pct / 100),
-      height: Math.round(regionHeight * pct / 100),
-    };
-  }
-  
-  if (sizeStr.startsWith("!")) {
-    // !w,h - best fit within dimensions
-    const [maxW, maxH] = sizeStr.slice(1).split(",").map(Number);
-    const aspectRatio = regionWidth / regionHeight;
-    const targetRatio = maxW / maxH;
-    
-    if (aspectRatio > targetRatio) {
-      return { width: maxW, height: Math.round(maxW / aspectRatio) };
-    } else {
-      return { width: Math.round(maxH * aspectRatio), height: maxH };
-    }
-  }
-  
-  const parts = sizeStr.split(",");
-  const w = parts[0] ? parseInt(parts[0], 10) : null;
-  const h = parts[1] ? parseInt(parts[1], 10) : null;
-  
-  if (w && h) {
-    return { width: w, height: h };
-  } else if (w) {
-    // w, - width only, maintain aspect ratio
-    return { width: w, height: Math.round(w * regionHeight / regionWidth) };
-  } else if (h) {
-    // ,h - height only, maintain aspect ratio
-    return { width: Math.round(h * regionWidth / regionHeight), height: h };
+  if (!response.ok) {
+    throw new Error(`WMS request failed: ${response.status} ${response.statusText}`);
   }
-  
-  return { width: regionWidth, height: regionHeight };
+
+  return response.arrayBuffer();
 }
 
 /**
- * Get MIME type for format
+ * Fetch an image too large for one WMS request as a grid of chunks and stitch them together
  */
-function getMimeType(format: string): string {
-  const mimeTypes: Record<string, string> = {
-    jpg: "image/jpeg",
-    jpeg: "image/jpeg",
-    png: "image/png",
-    gif: "image/gif",
-    webp: "image/webp",
-    tif: "image/tiff",
-    tiff: "image/tiff",
+async function fetchStitched(
+  client: MapWarperClient,
+  mapInfo: MapInfo,
+  region: ParsedRegion,
+  size: ParsedSize,
+  chunkContentType: string,
+  wmsMaxSize: number
+): Promise<RgbaImage> {
+  const canvas = createCanvas(size);
+  const chunks = planChunks(region, size, wmsMaxSize);
+  let next = 0;
+
+  // Each chunk is decoded and pasted as soon as it arrives, so only a few are held at once
+  const fetchNext = async (): Promise<void> => {
+    while (next < chunks.length) {
+      const chunk = chunks[next++];
+      const url = client.buildWmsUrl(mapInfo.id, chunk.region, chunk.size.width, chunk.size.height, chunkContentType, mapInfo.height);
+      pasteChunk(canvas, decodeImage(await fetchWms(url), chunkContentType), chunk.left, chunk.top);
+    }
   };
-  return mimeTypes[format.toLowerCase()] || "image/png";
+  await Promise.all(Array.from({ length: Math.min(CHUNK_CONCURRENCY, chunks.length) }, fetchNext));
+
+  return canvas;
 }
 
 /**
  * Process IIIF image request and return image buffer
+ * Tiles are served from the tile cache when `cacheTtl` is greater than 0; new tiles are stored through
+ * `waitUntil` so the response doesn't wait for the cache write
+ * Sizes are checked against `limits`, and outputs larger than its WMS size are stitched from chunks
  */
-export async function processImageRequest(params: IIIFImageParams): Promise<{
+export async function processImageRequest(
+  params: IIIFImageParams,
+  cacheTtl = 0,
+  limits: ImageLimits = { wmsMaxSize: DEFAULT_WMS_MAX_SIZE },
+  waitUntil: (promise: Promise<unknown>) => void = () => {}
+): Promise<{
   buffer: ArrayBuffer;
   contentType: string;
-  cacheControl?: string;
+  cacheStatus: CacheStatus;
 }> {
-  const mapInfo = await getMapInfo(params.identifier);
+  // Validate parameters that don't depend on the image before any upstream request
+  const rotation = parseRotation(params.rotation);
+  const quality = parseQuality(params.quality);
+  const contentType = parseFormat(params.format);
+  
+  const postProcess = needsPostProcessing(rotation, quality);
+  if (postProcess && !POSTPROCESS_MIME_TYPES.includes(contentType)) {
+    throw new IIIFRequestError(`Rotation and quality are only supported for jpg and png: ${params.format}`, 501);
+  }
+  
+  const client = getClient(params.instance);
+  const mapInfo = await getMapInfo(params.instance, params.identifier);
+  assertImageAvailable(mapInfo);
   
   // Parse region
   const region = parseRegion(params.region, mapInfo.width, mapInfo.height);
   
-  // Parse size
-  const size = parseSize(params.size, region.width, region.height);
+  // Parse size (2.1 sizes are translated to 3.0 syntax first)
+  const sizeParam = params.version === 2 ? convertV2Size(params.size) : params.size;
+  const size = parseSize(sizeParam, region.width, region.height, limits);
   
-  // Build WMS URL with Y-axis flip
-  const wmsUrl = client.buildWmsUrl(
-    params.identifier,
-    region,
-    size.width,
-    size.height,
-    getMimeType(params.format),
-    mapInfo.height  // Pass image height for Y-axis conversion
-  );
+  // Stitched images are re-encoded in the worker
+  const stitch = needsStitching(size, limits.wmsMaxSize);
+  if (stitch && !POSTPROCESS_MIME_TYPES.includes(contentType)) {
+    throw new IIIFRequestError(`Images larger than ${limits.wmsMaxSize}px are only available as jpg or png: ${params.format}`, 501);
+  }
   
-  // Fetch from WMS
-  const response = await fetch(wmsUrl);
+  const cacheKey = buildTileCacheKey({
+    instance: params.instance,
+    identifier: params.identifier,
+    updatedAt: mapInfo.updated_at,
+    region,
+    size,
+    rotation: params.rotation,
+    quality: params.quality,
+    format: params.format.toLowerCase(),
+  });
   
-  if (!response.ok) {
-    throw new Error(`WMS request failed: ${response.status} ${response.statusText}`);
+  if (cacheTtl > 0) {
+    const cached = await getCachedTile(cacheKey);
+    if (cached) {
+      return { ...cached, cacheStatus: "HIT" };
+    }
   }
   
-  const buffer = await response.arrayBuffer();
+  // Post-processed images are fetched losslessly and re-encoded afterwards
+  const wmsContentType = postProcess ? "image/png" : contentType;
   
-  // Pass through cache headers from MapWarper
-  const cacheControl = response.headers.get("Cache-Control");
+  let buffer: ArrayBuffer;
+  
+  if (stitch) {
+    const image = await fetchStitched(client, mapInfo, region, size, wmsContentType, limits.wmsMaxSize);
+    buffer = encodeImage(postProcess ? transformImage(image, rotation, quality) : image, contentType);
+  } else {
+    // Build WMS URL with Y-axis flip
+    const wmsUrl = client.buildWmsUrl(
+      params.identifier,
+      region,
+      size.width,
+      size.height,
+      wmsContentType,
+      mapInfo.height  // Pass image height for Y-axis conversion
+    );
+    
+    buffer = await fetchWms(wmsUrl);
+    
+    if (postProcess) {
+      const image = transformImage(decodeImage(buffer, wmsContentType), rotation, quality);
+      buffer = encodeImage(image, contentType);
+    }
+  }
+  
+  if (cacheTtl > 0) {
+    waitUntil(putCachedTile(cacheKey, buffer, contentType, cacheTtl).catch(error => {
+      console.error("Error caching tile:", error);
+    }));
+  }
   
   return {
     buffer,
-    contentType: getMimeType(params.format),
-    cacheControl: cacheControl || undefined,
+    contentType,
+    cacheStatus: cacheTtl > 0 ? "MISS" : "BYPASS",
   };
 }
 
 /**
  * Get map info for info.json generation
  */
-export async function getMapInfoForIIIF(identifier: string): Promise<MapInfo> {
-  return getMapInfo(identifier);
+export async function getMapInfoForIIIF(instance: string, identifier: string, skipCache = false): Promise<MapInfo> {
+  return getMapInfo(instance, identifier, skipCache);
+}
+
+/**
+ * Throw MapUnavailableError unless MapWarper has an image for the map
+ */
+export function assertImageAvailable(mapInfo: MapInfo): void {
+  const unavailable = imageUnavailability(mapInfo);
+  if (unavailable) {
+    const retryAfter = unavailable.status === 503 ? LOADING_RETRY_AFTER : undefined;
+    throw new MapUnavailableError(mapInfo.id, unavailable.reason, unavailable.status, retryAfter);
+  }
+}
+
+/**
+ * Get map info for a map whose image the bridge can serve
+ */
+export async function getAvailableMapInfo(instance: string, identifier: string, skipCache = false): Promise<MapInfo> {
+  const mapInfo = await getMapInfo(instance, identifier, skipCache);
+  assertImageAvailable(mapInfo);
+  return mapInfo;
+}
+
+/**
+ * Drop cached map info after the map was changed through the API
+ */
+export async function invalidateMapInfo(instance: string, identifier: string): Promise<void> {
+  await mapCache.delete(`${instance}:${identifier}`);
 }
 
 /**
  * Get layer info for mosaic manifest generation
  */
-export async function getLayerInfo(identifier: string, skipCache = false): Promise<LayerInfo> {
-  if (!skipCache && layerCache.has(identifier)) {
-    return layerCache.get(identifier)!;
+export async function getLayerInfo(instance: string, identifier: string, skipCache = false): Promise<LayerInfo> {
+  const client = getClient(instance);
+  const key = `${instance}:${identifier}`;
+  if (!skipCache) {
+    const cached = await layerCache.get(key);
+    if (cached) return cached;
   }
   const layerInfo = await client.getLayer(identifier);
-  layerCache.set(identifier, layerInfo);
+  await layerCache.set(key, layerInfo);
   return layerInfo;
 }
 
 /**
- * Get mask coordinates for a map
+ * Get one page of a layer's maps, with the metadata of each, with caching
+ */
+export async function getLayerMaps(instance: string, identifier: string, query: ListQuery, skipCache = false): Promise<ListPage<MapInfo>> {
+  const client = getClient(instance);
+  const key = `${instance}:${identifier}:${query.page ?? 1}:${query.perPage ?? ""}:${query.warpedOnly ? "warped" : "all"}`;
+  if (!skipCache) {
+    const cached = await layerMapsCache.get(key);
+    if (cached) return cached;
+  }
+  const page = await client.listLayerMaps(identifier, query);
+  await layerMapsCache.set(key, page);
+  return page;
+}
+
+/**
+ * Get mask polygons for a map (MapWarper coordinates, Y=0 at bottom)
+ */
+export async function getMapMask(instance: string, identifier: string): Promise<MultiPolygon | null> {
+  return getClient(instance).getMask(identifier);
+}
+
+/**
+ * Get ground control points for a map
  */
-export async function getMapMask(identifier: string): Promise<number[][] | null> {
-  return client.getMask(identifier);
+export async function getMapGcps(instance: string, identifier: string): Promise<Gcp[]> {
+  return getClient(instance).getGcps(identifier);
 }
 
-export { MapNotFoundError, LayerNotFoundError };
+export { MapNotFoundError, LayerNotFoundError, IIIFRequestError, InstanceNotFoundError, MapUnavailableError };
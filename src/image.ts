@@ -0,0 +1,153 @@
+/**
+ * Image Post-Processing
+ * Applies IIIF rotation, mirroring and quality to WMS images inside the worker
+ */
+
+import { decode as decodePng, encode as encodePng, convertIndexedToRgb } from "fast-png";
+import { decode as decodeJpeg, encode as encodeJpeg } from "jpeg-js";
+import { ParsedRotation } from "./params.js";
+
+/** 8-bit RGBA pixel buffer */
+export interface RgbaImage {
+  width: number;
+  height: number;
+  data: Uint8Array;
+}
+
+/** Output formats the worker can re-encode after post-processing */
+export const POSTPROCESS_MIME_TYPES = ["image/png", "image/jpeg"];
+
+const JPEG_QUALITY = 90;
+
+/**
+ * Whether the requested rotation/quality require decoding the WMS image
+ */
+export function needsPostProcessing(rotation: ParsedRotation, quality: string): boolean {
+  return rotation.mirror || rotation.degrees !== 0 || quality === "gray" || quality === "bitonal";
+}
+
+/**
+ * Decode a PNG or JPEG into 8-bit RGBA pixels
+ */
+export function decodeImage(buffer: ArrayBuffer, mimeType: string): RgbaImage {
+  if (mimeType === "image/jpeg") {
+    const jpeg = decodeJpeg(new Uint8Array(buffer), { useTArray: true, formatAsRGBA: true });
+    return { width: jpeg.width, height: jpeg.height, data: jpeg.data };
+  }
+
+  const png = decodePng(buffer);
+  let channels = png.channels;
+  let source: ArrayLike<number> = png.data;
+
+  if (png.palette) {
+    source = convertIndexedToRgb(png);
+    channels = png.palette[0].length;
+  } else if (png.depth < 8) {
+    throw new Error(`Unsupported PNG bit depth: ${png.depth}`);
+  }
+
+  // 16-bit samples are scaled down to 8 bits
+  const shift = !png.palette && png.depth === 16 ? 8 : 0;
+  const pixelCount = png.width * png.height;
+  const data = new Uint8Array(pixelCount * 4);
+
+  for (let i = 0; i < pixelCount; i++) {
+    const s = i * channels;
+    const d = i * 4;
+    if (channels <= 2) {
+      const gray = source[s] >> shift;
+      data[d] = data[d + 1] = data[d + 2] = gray;
+      data[d + 3] = channels === 2 ? source[s + 1] >> shift : 255;
+    } else {
+      data[d] = source[s] >> shift;
+      data[d + 1] = source[s + 1] >> shift;
+      data[d + 2] = source[s + 2] >> shift;
+      data[d + 3] = channels === 4 ? source[s + 3] >> shift : 255;
+    }
+  }
+
+  return { width: png.width, height: png.height, data };
+}
+
+/**
+ * Encode RGBA pixels as PNG or JPEG
+ */
+export function encodeImage(image: RgbaImage, mimeType: string): ArrayBuffer {
+  const bytes = mimeType === "image/jpeg"
+    ? encodeJpeg(image, JPEG_QUALITY).data
+    : encodePng({ width: image.width, height: image.height, data: image.data, channels: 4, depth: 8 });
+
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength) as ArrayBuffer;
+}
+
+/**
+ * Apply IIIF mirroring, rotation (multiples of 90°) and quality, in that order
+ */
+export function transformImage(image: RgbaImage, rotation: ParsedRotation, quality: string): RgbaImage {
+  let result = image;
+  if (rotation.mirror) result = mirror(result);
+  if (rotation.degrees !== 0) result = rotate(result, rotation.degrees);
+  if (quality === "gray" || quality === "bitonal") result = desaturate(result, quality === "bitonal");
+  return result;
+}
+
+/**
+ * Flip horizontally
+ */
+function mirror(image: RgbaImage): RgbaImage {
+  const { width, height } = image;
+  const data = new Uint8Array(image.data.length);
+  const pixels = new Uint32Array(data.buffer);
+  const source = new Uint32Array(image.data.buffer, image.data.byteOffset, width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels[y * width + x] = source[y * width + (width - 1 - x)];
+    }
+  }
+  return { width, height, data };
+}
+
+/**
+ * Rotate clockwise by 90, 180 or 270 degrees
+ */
+function rotate(image: RgbaImage, degrees: number): RgbaImage {
+  const { width, height } = image;
+  const swap = degrees === 90 || degrees === 270;
+  const outWidth = swap ? height : width;
+  const outHeight = swap ? width : height;
+  const data = new Uint8Array(image.data.length);
+  const pixels = new Uint32Array(data.buffer);
+  const source = new Uint32Array(image.data.buffer, image.data.byteOffset, width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let outX: number, outY: number;
+      if (degrees === 90) {
+        outX = height - 1 - y;
+        outY = x;
+      } else if (degrees === 180) {
+        outX = width - 1 - x;
+        outY = height - 1 - y;
+      } else {
+        outX = y;
+        outY = width - 1 - x;
+      }
+      pixels[outY * outWidth + outX] = source[y * width + x];
+    }
+  }
+  return { width: outWidth, height: outHeight, data };
+}
+
+/**
+ * Convert to grayscale (ITU-R BT.601 luma), or black and white when `bitonal`
+ */
+function desaturate(image: RgbaImage, bitonal: boolean): RgbaImage {
+  const data = new Uint8Array(image.data);
+  for (let i = 0; i < data.length; i += 4) {
+    let luma = Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+    if (bitonal) luma = luma >= 128 ? 255 : 0;
+    data[i] = data[i + 1] = data[i + 2] = luma;
+  }
+  return { width: image.width, height: image.height, data };
+}
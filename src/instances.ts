@@ -0,0 +1,74 @@
+/**
+ * MapWarper Instances
+ * Registry of named MapWarper upstreams, configured through the MAPWARPER_INSTANCES var
+ */
+
+import { MapWarperClient } from "./mapwarper.js";
+import { InstanceNotFoundError } from "./types.js";
+
+/** Instance used by the original /mapwarper/... URLs */
+export const DEFAULT_INSTANCE = "mapwarper";
+
+const DEFAULT_INSTANCES: Record<string, string> = {
+  [DEFAULT_INSTANCE]: "https://mapwarper.net",
+};
+
+// Instance names appear in URL paths and cache keys
+const INSTANCE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+let instances: Record<string, string> = DEFAULT_INSTANCES;
+const clients = new Map<string, MapWarperClient>();
+
+/**
+ * Configure instances from a name → base URL object or its JSON string form
+ * Falls back to mapwarper.net when missing or invalid
+ */
+export function configureInstances(value?: string | Record<string, string>): void {
+  let parsed: unknown = value;
+  if (typeof value === "string") {
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      console.error("Invalid MAPWARPER_INSTANCES JSON, using defaults");
+      parsed = undefined;
+    }
+  }
+
+  const next: Record<string, string> = {};
+  if (parsed && typeof parsed === "object") {
+    for (const [name, baseUrl] of Object.entries(parsed)) {
+      if (INSTANCE_NAME.test(name) && typeof baseUrl === "string") {
+        next[name] = baseUrl.replace(/\/$/, "");
+      }
+    }
+  }
+
+  instances = Object.keys(next).length > 0 ? next : DEFAULT_INSTANCES;
+
+  // Drop clients whose base URL changed
+  for (const [name, client] of clients) {
+    if (instances[name] !== client.baseUrl) clients.delete(name);
+  }
+}
+
+/**
+ * List configured instances
+ */
+export function listInstances(): Array<{ name: string; baseUrl: string }> {
+  return Object.entries(instances).map(([name, baseUrl]) => ({ name, baseUrl }));
+}
+
+/**
+ * Get the API client for a named instance
+ */
+export function getClient(name: string): MapWarperClient {
+  const baseUrl = instances[name];
+  if (!baseUrl) throw new InstanceNotFoundError(name);
+
+  let client = clients.get(name);
+  if (!client) {
+    client = new MapWarperClient(baseUrl);
+    clients.set(name, client);
+  }
+  return client;
+}
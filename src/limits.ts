@@ -0,0 +1,54 @@
+/**
+ * Image Size Limits
+ * Output limits advertised in info.json and the largest single WMS request sent to MapWarper
+ */
+
+import type { SizeLimits } from "./params.js";
+
+/** Default largest output width and height in pixels */
+export const DEFAULT_IMAGE_MAX_WIDTH = 8192;
+
+/** Default largest output area; stitched images are held in memory as RGBA */
+export const DEFAULT_IMAGE_MAX_AREA = 10_000_000;
+
+/** Default largest WMS GetMap width and height; bigger requests are fetched in chunks */
+export const DEFAULT_WMS_MAX_SIZE = 2048;
+
+/** Output limits plus the WMS chunk size */
+export interface ImageLimits extends SizeLimits {
+  wmsMaxSize: number;
+}
+
+/**
+ * Parse a positive pixel count, falling back to the default for missing or invalid values
+ * 0 turns a limit off where `allowZero` is set
+ */
+function parseLimit(value: string | undefined, fallback: number, allowZero: boolean): number | undefined {
+  if (value === undefined || value === "") return fallback;
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 0 || (limit === 0 && !allowZero)) return fallback;
+  return limit === 0 ? undefined : limit;
+}
+
+/**
+ * Read the configured limits; IMAGE_MAX_WIDTH caps both dimensions, as info.json's maxWidth implies
+ */
+export function getImageLimits(vars: { IMAGE_MAX_WIDTH?: string; IMAGE_MAX_AREA?: string; WMS_MAX_SIZE?: string }): ImageLimits {
+  const maxWidth = parseLimit(vars.IMAGE_MAX_WIDTH, DEFAULT_IMAGE_MAX_WIDTH, true);
+  return {
+    maxWidth,
+    maxHeight: maxWidth,
+    maxArea: parseLimit(vars.IMAGE_MAX_AREA, DEFAULT_IMAGE_MAX_AREA, true),
+    wmsMaxSize: parseLimit(vars.WMS_MAX_SIZE, DEFAULT_WMS_MAX_SIZE, false)!,
+  };
+}
+
+/**
+ * info.json properties for the limits (maxHeight is left out as it equals maxWidth)
+ */
+export function advertisedLimits({ maxWidth, maxArea }: SizeLimits): { maxWidth?: number; maxArea?: number } {
+  return {
+    ...(maxWidth && { maxWidth }),
+    ...(maxArea && { maxArea }),
+  };
+}
@@ -1,14 +1,35 @@
 /**
  * MapWarper API Client
- * Fetches map metadata from the MapWarper API
+ * Fetches map metadata from the MapWarper API and writes GCPs on behalf of a user
  */
 
-import { MapWarperApiResponse, MapWarperLayerApiResponse, MapInfo, LayerInfo, MapNotFoundError, LayerNotFoundError } from "./types.js";
+import { parseWarpMethod } from "./transformation.js";
+import { coalesce, upstreamFetch } from "./upstream.js";
+import { MaskParseError, MultiPolygon, parseGmlMask } from "../sync/geometry.js";
+import { MapWarperApiResponse, MapWarperLayerApiResponse, MapWarperGcpsApiResponse, MapWarperListApiResponse, MapWarperMap, MapWarperLayer, MapInfo, LayerInfo, Gcp, ListQuery, ListPage, MapSummary, LayerSummary, MapNotFoundError, LayerNotFoundError, MapWarperAuthError, WarpMethod, Bbox } from "./types.js";
 
 const DEFAULT_BASE_URL = "https://mapwarper.net";
 
+// Header carrying a user's MapWarper API key on write requests
+const API_KEY_HEADER = "X-Api-Key";
+
+// Page size for listings when the caller doesn't pick one
+const DEFAULT_PER_PAGE = 50;
+
+/**
+ * Parse MapWarper's "west,south,east,north" bbox, which is missing or empty for unwarped maps
+ */
+export function parseBbox(bbox: string | null | undefined): Bbox | null {
+  if (!bbox) return null;
+  const values = bbox.split(",").map(Number);
+  if (values.length !== 4 || values.some(v => !Number.isFinite(v))) return null;
+  const [west, south, east, north] = values;
+  if (west >= east || south >= north) return null;
+  return [west, south, east, north];
+}
+
 export class MapWarperClient {
-  private baseUrl: string;
+  readonly baseUrl: string;
 
   constructor(baseUrl: string = DEFAULT_BASE_URL) {
     this.baseUrl = baseUrl.replace(/\/$/, ""); // Remove trailing slash
@@ -18,100 +39,271 @@ export class MapWarperClient {
    * Fetch map metadata by ID
    */
   async getMap(id: string): Promise<MapInfo> {
-    const url = `${this.baseUrl}/api/v1/maps/${id}.json`;
+    const data = await this.getJson<MapWarperApiResponse>(`/api/v1/maps/${id}.json`);
+    if (!data) {
+      throw new MapNotFoundError(id);
+    }
     
-    const response = await fetch(url, {
-      headers: {
-        "Accept": "application/json",
-      },
-    });
+    return this.toMapInfo(data.data);
+  }
 
-    if (!response.ok) {
-      if (response.status === 404) {
-        throw new MapNotFoundError(id);
-      }
-      throw new Error(`MapWarper API error: ${response.status} ${response.statusText}`);
+  /**
+   * Fetch layer/mosaic metadata by ID
+   */
+  async getLayer(id: string): Promise<LayerInfo> {
+    const data = await this.getJson<MapWarperLayerApiResponse>(`/api/v1/layers/${id}.json`);
+    if (!data) {
+      throw new LayerNotFoundError(id);
     }
-
-    const data: MapWarperApiResponse = await response.json();
     
     return {
       id: data.data.id,
-      title: data.data.attributes.title,
+      name: data.data.attributes.name,
       description: data.data.attributes.description,
-      width: data.data.attributes.width,
-      height: data.data.attributes.height,
-      status: data.data.attributes.status,
-      created_at: data.data.attributes.created_at,
-      updated_at: data.data.attributes.updated_at,
-      source_uri: data.data.attributes.source_uri,
-      date_depicted: data.data.attributes.date_depicted,
+      mapIds: data.data.relationships.maps.data.map(m => m.id),
+      bbox: parseBbox(data.data.attributes.bbox),
+      links: {
+        page: `${this.baseUrl}/layers/${id}`,
+        thumb: `${this.baseUrl}/layers/thumb/${id}`,
+        kml: this.absoluteUrl(data.data.links.kml || `/layers/${id}.kml`),
+      },
     };
   }
 
   /**
-   * Fetch layer/mosaic metadata by ID
+   * Fetch one page of a layer's maps with their full metadata, in MapWarper's order
    */
-  async getLayer(id: string): Promise<LayerInfo> {
-    const url = `${this.baseUrl}/api/v1/layers/${id}.json`;
-    
-    const response = await fetch(url, {
+  async listLayerMaps(id: string, query: ListQuery = {}): Promise<ListPage<MapInfo>> {
+    const page = await this.list<MapWarperMap>(`/api/v1/layers/${id}/maps`, { ...query, query: undefined }, false);
+    if (!page) {
+      throw new LayerNotFoundError(id);
+    }
+    return { ...page, items: page.items.map(map => this.toMapInfo(map)) };
+  }
+
+  /**
+   * Simplify a map from an API response
+   */
+  private toMapInfo(map: MapWarperMap): MapInfo {
+    const { id, attributes, links } = map;
+    return {
+      id,
+      title: attributes.title,
+      description: attributes.description,
+      width: attributes.width,
+      height: attributes.height,
+      status: attributes.status,
+      created_at: attributes.created_at,
+      updated_at: attributes.updated_at,
+      source_uri: attributes.source_uri,
+      date_depicted: attributes.date_depicted,
+      transform_options: parseWarpMethod(attributes.transform_options),
+      map_type: attributes.map_type || "is_map",
+      bbox: parseBbox(attributes.bbox),
+      links: {
+        page: `${this.baseUrl}/maps/${id}`,
+        thumb: this.absoluteUrl(links.thumb || `/maps/thumb/${id}`),
+        gcps_csv: this.absoluteUrl(links.gcps_csv || `/maps/${id}/gcps.csv`),
+        kml: this.absoluteUrl(links.kml || `/maps/${id}.kml`),
+      },
+    };
+  }
+
+  /**
+   * Resolve a link from an API response, which may be relative to the instance
+   */
+  private absoluteUrl(link: string): string {
+    return new URL(link, `${this.baseUrl}/`).toString();
+  }
+
+  /**
+   * Fetch ground control points for a map
+   */
+  async getGcps(id: string): Promise<Gcp[]> {
+    const data = await this.getJson<MapWarperGcpsApiResponse>(`/api/v1/maps/${id}/gcps`);
+    if (!data) {
+      throw new MapNotFoundError(id);
+    }
+
+    // MapWarper returns lat/lon as decimal strings
+    return (data.data || []).map(gcp => ({
+      id: gcp.id,
+      x: Number(gcp.attributes.x),
+      y: Number(gcp.attributes.y),
+      lon: Number(gcp.attributes.lon),
+      lat: Number(gcp.attributes.lat),
+    }));
+  }
+
+  /**
+   * Fetch one page of the maps index, most recently updated first
+   */
+  async listMaps(query: ListQuery = {}): Promise<ListPage<MapSummary>> {
+    const page = await this.list<MapWarperMap>("/api/v1/maps", query);
+    if (!page) {
+      throw new Error("MapWarper API error: maps index not found");
+    }
+    return {
+      ...page,
+      items: page.items.map(map => ({ id: map.id, title: map.attributes.title, status: map.attributes.status })),
+    };
+  }
+
+  /**
+   * Fetch one page of the layers index, most recently updated first
+   */
+  async listLayers(query: ListQuery = {}): Promise<ListPage<LayerSummary>> {
+    const page = await this.list<MapWarperLayer>("/api/v1/layers", { ...query, warpedOnly: false });
+    if (!page) {
+      throw new Error("MapWarper API error: layers index not found");
+    }
+    return {
+      ...page,
+      items: page.items.map(layer => ({
+        id: layer.id,
+        name: layer.attributes.name,
+        description: layer.attributes.description,
+        mapsCount: layer.attributes.maps_count,
+      })),
+    };
+  }
+
+  /**
+   * Fetch a page of a listing endpoint with the same parameters the sync UI uses; null when it 404s
+   * Indexes are sorted most recently updated first, other listings keep MapWarper's order so pages stay stable
+   */
+  private async list<T>(path: string, { page = 1, perPage = DEFAULT_PER_PAGE, query, warpedOnly }: ListQuery, sorted = true): Promise<ListPage<T> | null> {
+    const params = new URLSearchParams({
+      page: page.toString(),
+      per_page: perPage.toString(),
+    });
+    if (sorted) {
+      params.set("sort_key", "updated_at");
+      params.set("sort_order", "desc");
+    }
+    if (warpedOnly) params.set("show_warped", "1");
+    if (query) params.set("query", query);
+
+    const data = await this.getJson<MapWarperListApiResponse<T>>(`${path}?${params}`);
+    if (!data) return null;
+    return {
+      items: data.data || [],
+      page,
+      totalPages: data.meta?.total_pages ?? 1,
+      totalEntries: data.meta?.total_entries ?? (data.data || []).length,
+    };
+  }
+
+  /**
+   * GET a JSON document, sharing the request with identical ones already in flight
+   * Returns null for 404s so callers can raise their own not-found errors
+   */
+  private getJson<T>(path: string): Promise<T | null> {
+    const url = `${this.baseUrl}${path}`;
+    return coalesce(url, async () => {
+      const response = await upstreamFetch(url, {
+        headers: {
+          "Accept": "application/json",
+        },
+      });
+
+      if (!response.ok) {
+        if (response.status === 404) return null;
+        throw new Error(`MapWarper API error: ${response.status} ${response.statusText}`);
+      }
+      return response.json() as Promise<T>;
+    });
+  }
+
+  /**
+   * Send an authenticated JSON request to the MapWarper API
+   */
+  private async send(method: string, path: string, apiKey: string, body?: object): Promise<Response> {
+    const response = await upstreamFetch(`${this.baseUrl}${path}`, {
+      method,
       headers: {
         "Accept": "application/json",
+        "Content-Type": "application/json",
+        [API_KEY_HEADER]: apiKey,
       },
+      body: body ? JSON.stringify(body) : undefined,
     });
 
+    if (response.status === 401 || response.status === 403) {
+      throw new MapWarperAuthError(
+        response.status === 401 ? "MapWarper rejected the API key" : "API key is not allowed to edit this map",
+        response.status
+      );
+    }
     if (!response.ok) {
-      if (response.status === 404) {
-        throw new LayerNotFoundError(id);
-      }
       throw new Error(`MapWarper API error: ${response.status} ${response.statusText}`);
     }
+    return response;
+  }
 
-    const data: MapWarperLayerApiResponse = await response.json();
-    
-    return {
-      id: data.data.id,
-      name: data.data.attributes.name,
-      description: data.data.attributes.description,
-      mapIds: data.data.relationships.maps.data.map(m => m.id),
-    };
+  /**
+   * Add a ground control point to a map, returning its new ID
+   */
+  async createGcp(mapId: string, gcp: Gcp, apiKey: string): Promise<string> {
+    const response = await this.send("POST", "/api/v1/gcps", apiKey, {
+      data: {
+        type: "gcps",
+        attributes: { map_id: Number(mapId), x: gcp.x, y: gcp.y, lon: gcp.lon, lat: gcp.lat },
+      },
+    });
+    const data: { data: { id: string } } = await response.json();
+    return data.data.id;
+  }
+
+  /**
+   * Move an existing ground control point
+   */
+  async updateGcp(gcpId: string, gcp: Gcp, apiKey: string): Promise<void> {
+    await this.send("PATCH", `/api/v1/gcps/${gcpId}`, apiKey, {
+      data: {
+        id: gcpId,
+        type: "gcps",
+        attributes: { x: gcp.x, y: gcp.y, lon: gcp.lon, lat: gcp.lat },
+      },
+    });
+  }
+
+  /**
+   * Delete a ground control point
+   */
+  async deleteGcp(gcpId: string, apiKey: string): Promise<void> {
+    await this.send("DELETE", `/api/v1/gcps/${gcpId}`, apiKey);
+  }
+
+  /**
+   * Re-warp (rectify) a map using its current GCPs and the given warp method
+   */
+  async rectifyMap(mapId: string, apiKey: string, transformOptions: WarpMethod = "auto"): Promise<void> {
+    await this.send("POST", `/api/v1/maps/${mapId}/rectify`, apiKey, { transform_options: transformOptions });
   }
 
   /**
-   * Fetch mask coordinates for a map (GML format)
+   * Fetch a map's mask polygons (GML format)
+   * Throws MaskParseError when the mask exists but can't be read
    */
-  async getMask(id: string): Promise<number[][] | null> {
+  async getMask(id: string): Promise<MultiPolygon | null> {
     const url = `${this.baseUrl}/mapimages/${id}.gml.ol`;
     
-    const response = await fetch(url);
+    const response = await upstreamFetch(url);
 
     if (!response.ok) {
       return null;
     }
 
     const gmlText = await response.text();
-    return this.parseGmlMask(gmlText);
-  }
-
-  private parseGmlMask(gmlText: string): number[][] | null {
-    const coordsMatch = gmlText.match(/<gml:coordinates[^>]*>([^<]+)<\/gml:coordinates>/);
-    if (!coordsMatch) return null;
-    
-    const coordsStr = coordsMatch[1].trim();
-    const pairs = coordsStr.split(/\s+/).map(pair => {
-      const [x, y] = pair.split(',').map(Number);
-      return [x, y];
-    });
-    
-    // Remove last point if it's the same as first (closed polygon)
-    if (pairs.length > 1 && 
-        pairs[0][0] === pairs[pairs.length - 1][0] && 
-        pairs[0][1] === pairs[pairs.length - 1][1]) {
-      pairs.pop();
+    try {
+      return parseGmlMask(gmlText);
+    } catch (error) {
+      if (error instanceof MaskParseError) {
+        throw new MaskParseError(`Mask of map ${id} is invalid: ${error.message}`);
+      }
+      throw error;
     }
-    
-    return pairs;
   }
 
   /**
@@ -0,0 +1,89 @@
+/**
+ * Mask Export
+ * Turns an Allmaps resource mask into the GML mask file of the MapWarper crop tool
+ */
+
+import { SyncRequestError } from "./types.js";
+import { getMapInfoForIIIF } from "./iiif.js";
+import type { MultiPolygon, Ring } from "../sync/geometry.js";
+
+function parseRing(value: unknown, name: string): Ring {
+  if (!Array.isArray(value) || value.length < 3) {
+    throw new SyncRequestError(`${name} must be an array of at least 3 points`);
+  }
+  return value.map((point, index) => {
+    const parsed = Array.isArray(point) ? [Number(point[0]), Number(point[1])] : [NaN, NaN];
+    if (!parsed.every(Number.isFinite)) {
+      throw new SyncRequestError(`${name} point ${index} must be a numeric [x, y] pair`);
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Validate the resource mask (IIIF pixel coordinates, Y=0 at top) from a request body
+ * Takes a single ring (`[[x, y], ...]`) or a multi-polygon whose polygons are an outer ring followed by holes
+ */
+export function parseResourceMask(value: unknown): MultiPolygon {
+  if (!Array.isArray(value) || value.length === 0) {
+    throw new SyncRequestError("Request body must contain a resourceMask array");
+  }
+  if (!Array.isArray(value[0]?.[0])) {
+    return [[parseRing(value, "resourceMask")]];
+  }
+  return value.map((polygon, p) => {
+    if (!Array.isArray(polygon) || polygon.length === 0) {
+      throw new SyncRequestError(`resourceMask polygon ${p} must be an array of rings`);
+    }
+    return polygon.map((ring, r) => parseRing(ring, `resourceMask polygon ${p} ring ${r}`));
+  });
+}
+
+/**
+ * Convert IIIF mask coordinates (Y=0 at top) back to MapWarper's (Y=0 at bottom)
+ */
+export function fromIiifMask(resourceMask: number[][], imageHeight: number): number[][] {
+  return resourceMask.map(([x, y]) => [x, imageHeight - y]);
+}
+
+function gmlRing(ring: Ring): string {
+  const coordinates = [...ring, ring[0]].map(([x, y]) => `${x},${y}`).join(" ");
+  return `<gml:LinearRing>
+              <gml:coordinates decimal="." cs="," ts=" ">${coordinates}</gml:coordinates>
+            </gml:LinearRing>`;
+}
+
+/**
+ * Serialize MapWarper mask coordinates as the GML the crop tool saves (`/mapimages/{id}.gml.ol`)
+ * Every polygon becomes a feature of its own, with its holes as inner boundaries
+ */
+export function toGmlMask(mask: MultiPolygon): string {
+  const features = mask.map(([outer, ...holes]) => `
+  <gml:featureMember>
+    <feature:features>
+      <feature:geometry>
+        <gml:Polygon>
+          <gml:outerBoundaryIs>
+            ${gmlRing(outer)}
+          </gml:outerBoundaryIs>${holes.map(hole => `
+          <gml:innerBoundaryIs>
+            ${gmlRing(hole)}
+          </gml:innerBoundaryIs>`).join("")}
+        </gml:Polygon>
+      </feature:geometry>
+    </feature:features>
+  </gml:featureMember>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs" xmlns:gml="http://www.opengis.net/gml" xmlns:feature="http://mapserver.gis.umn.edu/mapserver">${features.join("")}
+</wfs:FeatureCollection>
+`;
+}
+
+/**
+ * Build the MapWarper GML mask for a map from an Allmaps resource mask
+ */
+export async function buildGmlMask(instance: string, identifier: string, resourceMask: MultiPolygon): Promise<string> {
+  const mapInfo = await getMapInfoForIIIF(instance, identifier);
+  return toGmlMask(resourceMask.map(polygon => polygon.map(ring => fromIiifMask(ring, mapInfo.height))));
+}
@@ -0,0 +1,121 @@
+/**
+ * Metadata Cache
+ * In-memory LRU cache with TTLs for MapWarper metadata, optionally backed by Workers KV
+ */
+
+/** Default metadata TTL in seconds (5 minutes) */
+export const DEFAULT_METADATA_CACHE_TTL = 300;
+
+// Workers KV rejects expiration TTLs below 60 seconds
+const MIN_KV_TTL = 60;
+
+/** Subset of the Workers KV namespace API used by the cache */
+export interface KvStore {
+  get(key: string, type: "json"): Promise<unknown>;
+  put(key: string, value: string, options?: { expirationTtl?: number }): Promise<void>;
+  delete(key: string): Promise<void>;
+}
+
+interface CacheEntry<T> {
+  value: T;
+  expires: number;
+}
+
+// Shared settings, configured per request from the worker bindings
+let kvStore: KvStore | undefined;
+let ttlSeconds = DEFAULT_METADATA_CACHE_TTL;
+
+/**
+ * Configure the KV backing store and TTL for all metadata caches
+ */
+export function configureMetadataCache(options: { kv?: KvStore; ttl?: string }): void {
+  kvStore = options.kv;
+  const ttl = options.ttl ? parseInt(options.ttl, 10) : NaN;
+  ttlSeconds = Number.isFinite(ttl) && ttl >= 0 ? ttl : DEFAULT_METADATA_CACHE_TTL;
+}
+
+export class MetadataCache<T> {
+  private entries = new Map<string, CacheEntry<T>>();
+  private namespace: string;
+  private maxEntries: number;
+  private shared: boolean;
+
+  /**
+   * `shared` entries are also written to KV for other isolates; leave it off for short-lived
+   * entries that are rarely read twice, as every write counts against the KV write quota
+   */
+  constructor(namespace: string, maxEntries: number, { shared = true }: { shared?: boolean } = {}) {
+    this.namespace = namespace;
+    this.maxEntries = maxEntries;
+    this.shared = shared;
+  }
+
+  /**
+   * Get a cached value, checking memory first and then KV
+   */
+  async get(key: string): Promise<T | undefined> {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      if (entry.expires > Date.now()) {
+        // Re-insert to mark as most recently used
+        this.entries.set(key, entry);
+        return entry.value;
+      }
+    }
+
+    if (!kvStore || !this.shared) return undefined;
+
+    const stored = await kvStore.get(this.kvKey(key), "json") as CacheEntry<T> | null;
+    if (!stored || stored.expires <= Date.now()) return undefined;
+
+    this.remember(key, stored);
+    return stored.value;
+  }
+
+  /**
+   * Store a value for the configured TTL
+   */
+  async set(key: string, value: T): Promise<void> {
+    if (ttlSeconds <= 0) return;
+
+    // A refresh that finds nothing changed keeps the copy already in KV rather than writing it again
+    const previous = this.entries.get(key);
+    const unchanged = previous !== undefined && previous.expires > Date.now() &&
+      JSON.stringify(previous.value) === JSON.stringify(value);
+
+    const entry = unchanged ? previous : { value, expires: Date.now() + ttlSeconds * 1000 };
+    this.remember(key, entry);
+
+    if (kvStore && this.shared && !unchanged) {
+      await kvStore.put(this.kvKey(key), JSON.stringify(entry), {
+        expirationTtl: Math.max(ttlSeconds, MIN_KV_TTL),
+      });
+    }
+  }
+
+  /**
+   * Remove a value from memory and KV
+   */
+  async delete(key: string): Promise<void> {
+    this.entries.delete(key);
+    if (kvStore && this.shared) {
+      await kvStore.delete(this.kvKey(key));
+    }
+  }
+
+  private remember(key: string, entry: CacheEntry<T>): void {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    // Evict least recently used entries (Map keeps insertion order)
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value as string;
+      this.entries.delete(oldest);
+    }
+  }
+
+  private kvKey(key: string): string {
+    return `${this.namespace}:${key}`;
+  }
+}
@@ -0,0 +1,129 @@
+/**
+ * Mosaic Maps
+ * Loads a layer's maps from its paged map listing for mosaic manifests and annotations
+ */
+
+import { getLayerMaps } from "./iiif.js";
+import { mapConcurrently } from "./upstream.js";
+import { IIIFRequestError, MapInfo, MapType, SkippedMap } from "./types.js";
+import { imageUnavailability } from "../sync/map-status.js";
+
+/** Maps in each page of a mosaic (?page=) */
+export const MOSAIC_PAGE_SIZE = 100;
+
+/** Most maps in a mosaic without ?page=, keeping its manifest a manageable size */
+export const MAX_MOSAIC_MAPS = 1000;
+
+/**
+ * MapWarper requests a whole-layer mosaic may make: half the Workers paid plan limit of 1000 subrequests,
+ * leaving the rest for retries and KV reads
+ */
+export const MOSAIC_SUBREQUEST_BUDGET = 500;
+
+// Requests per map when a mosaic adds georeferencing: the map's GCPs and its mask
+const GEOREF_SUBREQUESTS_PER_MAP = 2;
+
+// Listing pages fetched at the same time
+const LISTING_CONCURRENCY = 4;
+
+/** Filters and paging taken from the mosaic URL */
+export interface MosaicQuery {
+  /** Page of maps (?page=); the whole layer when absent */
+  page?: number;
+  /** Only maps MapWarper has warped (?rectified=1) */
+  rectifiedOnly?: boolean;
+  /** Map types to leave out (?exclude=) */
+  exclude?: MapType[];
+}
+
+export interface MosaicMaps {
+  /** Maps the bridge can serve, in layer order */
+  maps: MapInfo[];
+  /** Listed maps left out as they have no image */
+  skipped: SkippedMap[];
+  /** Maps in the layer matching the rectified filter */
+  totalEntries: number;
+  totalPages: number;
+}
+
+/**
+ * Query string of a mosaic URL, so pages and filtered mosaics get their own ids
+ */
+export function mosaicQueryString({ page, rectifiedOnly, exclude = [] }: MosaicQuery, georef = false): string {
+  const params = [
+    georef && "georef=true",
+    rectifiedOnly && "rectified=1",
+    exclude.length > 0 && `exclude=${exclude.join(",")}`,
+    page && `page=${page}`,
+  ].filter(Boolean);
+  return params.length > 0 ? `?${params.join("&")}` : "";
+}
+
+/**
+ * MapWarper requests for a whole-layer mosaic of `mapCount` maps when nothing is cached:
+ * the layer, its listing pages and, with `georef`, each map's GCPs and mask
+ */
+export function mosaicSubrequests(mapCount: number, georef: boolean): number {
+  const listingPages = Math.max(1, Math.ceil(mapCount / MOSAIC_PAGE_SIZE));
+  return 1 + listingPages + (georef ? GEOREF_SUBREQUESTS_PER_MAP * mapCount : 0);
+}
+
+/**
+ * Fetch a layer's maps from its listing, one page or the whole layer
+ * Maps without an image are skipped and reported; excluded map types are left out silently
+ * Whole layers too large for the subrequest budget (counting GCPs and masks with `georef`) have to be paged
+ */
+export async function getMosaicMaps(
+  instance: string,
+  identifier: string,
+  query: MosaicQuery,
+  skipCache = false,
+  georef = false
+): Promise<MosaicMaps> {
+  const { page, rectifiedOnly, exclude = [] } = query;
+  const listQuery = { perPage: MOSAIC_PAGE_SIZE, warpedOnly: rectifiedOnly };
+
+  const first = await getLayerMaps(instance, identifier, { ...listQuery, page: page ?? 1 }, skipCache);
+  let listed = first.items;
+
+  if (page !== undefined) {
+    if (page > Math.max(first.totalPages, 1)) {
+      throw new IIIFRequestError(`Page ${page} is past the last page (${first.totalPages})`);
+    }
+  } else {
+    if (first.totalEntries > MAX_MOSAIC_MAPS) {
+      throw new IIIFRequestError(
+        `Layer ${identifier} has ${first.totalEntries} maps, more than the ${MAX_MOSAIC_MAPS} a mosaic holds; request it a page at a time with ?page=`
+      );
+    }
+    const subrequests = mosaicSubrequests(first.totalEntries, georef);
+    if (subrequests > MOSAIC_SUBREQUEST_BUDGET) {
+      throw new IIIFRequestError(
+        `Layer ${identifier} has ${first.totalEntries} maps, whose georeferencing takes ${subrequests} MapWarper requests, ` +
+        `more than the ${MOSAIC_SUBREQUEST_BUDGET} a mosaic may make; request it a page at a time with ?page=`
+      );
+    }
+    if (first.totalPages > 1) {
+      const rest = await mapConcurrently(
+        Array.from({ length: first.totalPages - 1 }, (_, i) => i + 2),
+        LISTING_CONCURRENCY,
+        p => getLayerMaps(instance, identifier, { ...listQuery, page: p }, skipCache)
+      );
+      listed = listed.concat(...rest.map(listing => listing.items));
+    }
+  }
+
+  const maps: MapInfo[] = [];
+  const skipped: SkippedMap[] = [];
+  for (const mapInfo of listed) {
+    if (exclude.includes(mapInfo.map_type)) continue;
+    const unavailable = imageUnavailability(mapInfo);
+    if (unavailable) {
+      skipped.push({ id: mapInfo.id, reason: unavailable.reason });
+    } else {
+      maps.push(mapInfo);
+    }
+  }
+
+  return { maps, skipped, totalEntries: first.totalEntries, totalPages: first.totalPages };
+}
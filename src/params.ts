@@ -0,0 +1,251 @@
+/**
+ * IIIF Image API 3.0 Parameter Parsing
+ * Validates region, size, rotation, quality and format parameters
+ * See https://iiif.io/api/image/3.0/#4-image-requests
+ */
+
+import { IIIFRequestError } from "./types.js";
+
+export interface ParsedRegion {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+export interface ParsedSize {
+  width: number;
+  height: number;
+}
+
+export interface ParsedRotation {
+  degrees: number;
+  mirror: boolean;
+}
+
+/** Server-imposed output size limits (advertised in info.json) */
+export interface SizeLimits {
+  maxWidth?: number;
+  maxHeight?: number;
+  maxArea?: number;
+}
+
+const INTEGER = /^\d+$/;
+const DECIMAL = /^\d+(\.\d+)?$/;
+
+/** Qualities this server can produce */
+export const SUPPORTED_QUALITIES = ["default", "color", "gray", "bitonal"];
+
+/** Formats this server can produce, mapped to MIME types */
+export const SUPPORTED_FORMATS: Record<string, string> = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  tif: "image/tiff",
+  tiff: "image/tiff",
+};
+const KNOWN_FORMATS = ["jp2", "pdf"];
+
+/** Formats advertised in info.json, one name per MIME type (jpeg and tiff are accepted too) */
+export const ADVERTISED_FORMATS = ["jpg", "png", "gif", "webp", "tif"];
+
+/**
+ * Parse a comma-separated list of exactly `count` numbers matching `pattern`
+ */
+function parseNumbers(value: string, count: number, pattern: RegExp, name: string): number[] {
+  const parts = value.split(",");
+  if (parts.length !== count || parts.some(p => !pattern.test(p))) {
+    throw new IIIFRequestError(`Invalid ${name}: ${value}`);
+  }
+  return parts.map(Number);
+}
+
+/**
+ * Parse IIIF region parameter, cropping it to the image bounds
+ */
+export function parseRegion(region: string, imageWidth: number, imageHeight: number): ParsedRegion {
+  if (region === "full") {
+    return { x: 0, y: 0, width: imageWidth, height: imageHeight };
+  }
+
+  if (region === "square") {
+    const size = Math.min(imageWidth, imageHeight);
+    const x = Math.floor((imageWidth - size) / 2);
+    const y = Math.floor((imageHeight - size) / 2);
+    return { x, y, width: size, height: size };
+  }
+
+  let x: number, y: number, width: number, height: number;
+
+  if (region.startsWith("pct:")) {
+    const [pctX, pctY, pctW, pctH] = parseNumbers(region.slice(4), 4, DECIMAL, "region");
+    x = Math.round(imageWidth * pctX / 100);
+    y = Math.round(imageHeight * pctY / 100);
+    width = Math.round(imageWidth * pctW / 100);
+    height = Math.round(imageHeight * pctH / 100);
+  } else {
+    // Absolute pixel values: x,y,w,h
+    [x, y, width, height] = parseNumbers(region, 4, INTEGER, "region");
+  }
+
+  if (width === 0 || height === 0) {
+    throw new IIIFRequestError(`Region width and height must be greater than zero: ${region}`);
+  }
+  if (x >= imageWidth || y >= imageHeight) {
+    throw new IIIFRequestError(`Region is entirely outside the image bounds: ${region}`);
+  }
+
+  // Crop regions extending beyond the image
+  return {
+    x,
+    y,
+    width: Math.min(width, imageWidth - x),
+    height: Math.min(height, imageHeight - y),
+  };
+}
+
+/**
+ * Largest size with the region's aspect ratio that fits within the server limits
+ */
+function maxSize(regionWidth: number, regionHeight: number, limits: SizeLimits, upscale: boolean): ParsedSize {
+  let scale = upscale ? Infinity : 1;
+  if (limits.maxWidth) scale = Math.min(scale, limits.maxWidth / regionWidth);
+  if (limits.maxHeight) scale = Math.min(scale, limits.maxHeight / regionHeight);
+  if (limits.maxArea) scale = Math.min(scale, Math.sqrt(limits.maxArea / (regionWidth * regionHeight)));
+  if (!Number.isFinite(scale)) scale = 1;
+
+  return {
+    width: Math.max(1, Math.floor(regionWidth * scale)),
+    height: Math.max(1, Math.floor(regionHeight * scale)),
+  };
+}
+
+/**
+ * Parse IIIF size parameter
+ */
+export function parseSize(size: string, regionWidth: number, regionHeight: number, limits: SizeLimits = {}): ParsedSize {
+  // ^w,h, ^max etc. - upscaling allowed
+  const upscale = size.startsWith("^");
+  const sizeStr = upscale ? size.slice(1) : size;
+
+  if (sizeStr === "max") {
+    return maxSize(regionWidth, regionHeight, limits, upscale);
+  }
+
+  let result: ParsedSize;
+
+  if (sizeStr.startsWith("pct:")) {
+    const [pct] = parseNumbers(sizeStr.slice(4), 1, DECIMAL, "size");
+    if (pct > 100 && !upscale) {
+      throw new IIIFRequestError(`Size percentage above 100 requires the ^ prefix: ${size}`);
+    }
+    result = {
+      width: Math.round(regionWidth * pct / 100),
+      height: Math.round(regionHeight * pct / 100),
+    };
+  } else if (sizeStr.startsWith("!")) {
+    // !w,h - best fit within dimensions
+    const [maxW, maxH] = parseNumbers(sizeStr.slice(1), 2, INTEGER, "size");
+    const scale = Math.min(maxW / regionWidth, maxH / regionHeight, upscale ? Infinity : 1);
+    result = {
+      width: Math.round(regionWidth * scale),
+      height: Math.round(regionHeight * scale),
+    };
+  } else {
+    const parts = sizeStr.split(",");
+    if (parts.length !== 2 || (parts[0] === "" && parts[1] === "") ||
+        parts.some(p => p !== "" && !INTEGER.test(p))) {
+      throw new IIIFRequestError(`Invalid size: ${size}`);
+    }
+    const w = parts[0] ? parseInt(parts[0], 10) : null;
+    const h = parts[1] ? parseInt(parts[1], 10) : null;
+
+    if (w !== null && h !== null) {
+      result = { width: w, height: h };
+    } else if (w !== null) {
+      // w, - width only, maintain aspect ratio
+      result = { width: w, height: Math.round(w * regionHeight / regionWidth) };
+    } else {
+      // ,h - height only, maintain aspect ratio
+      result = { width: Math.round(h! * regionWidth / regionHeight), height: h! };
+    }
+
+    if (!upscale && (result.width > regionWidth || result.height > regionHeight)) {
+      throw new IIIFRequestError(`Size larger than the region requires the ^ prefix: ${size}`);
+    }
+  }
+
+  if (result.width === 0 || result.height === 0) {
+    throw new IIIFRequestError(`Size must be greater than zero: ${size}`);
+  }
+
+  if ((limits.maxWidth && result.width > limits.maxWidth) ||
+      (limits.maxHeight && result.height > limits.maxHeight) ||
+      (limits.maxArea && result.width * result.height > limits.maxArea)) {
+    throw new IIIFRequestError(`Size exceeds the server limits: ${size}`);
+  }
+
+  return result;
+}
+
+/**
+ * Translate an IIIF Image API 2.1 size into its 3.0 equivalent
+ * 2.1 has no ^ prefix and always allows upscaling; its "full" is the unscaled region, which unlike
+ * "max" is refused rather than scaled down when it is beyond the server limits
+ */
+export function convertV2Size(size: string): string {
+  if (size.startsWith("^")) {
+    throw new IIIFRequestError(`Invalid size: ${size}`);
+  }
+  if (size === "full") return "pct:100";
+  if (size === "max") return "max";
+  return `^${size}`;
+}
+
+/**
+ * Parse IIIF rotation parameter
+ * Mirroring and multiples of 90° are supported; other valid angles are rejected with 501
+ */
+export function parseRotation(rotation: string): ParsedRotation {
+  const mirror = rotation.startsWith("!");
+  const degreesStr = mirror ? rotation.slice(1) : rotation;
+
+  if (!DECIMAL.test(degreesStr)) {
+    throw new IIIFRequestError(`Invalid rotation: ${rotation}`);
+  }
+  const degrees = Number(degreesStr);
+  if (degrees > 360) {
+    throw new IIIFRequestError(`Rotation must be between 0 and 360: ${rotation}`);
+  }
+
+  if (degrees % 90 !== 0) {
+    throw new IIIFRequestError(`Rotation not supported: ${rotation}`, 501);
+  }
+
+  return { degrees: degrees % 360, mirror };
+}
+
+/**
+ * Parse IIIF quality parameter
+ */
+export function parseQuality(quality: string): string {
+  if (!SUPPORTED_QUALITIES.includes(quality)) {
+    throw new IIIFRequestError(`Invalid quality: ${quality}`);
+  }
+  return quality;
+}
+
+/**
+ * Parse IIIF format parameter, returning its MIME type
+ */
+export function parseFormat(format: string): string {
+  const mimeType = SUPPORTED_FORMATS[format.toLowerCase()];
+  if (mimeType) return mimeType;
+
+  if (KNOWN_FORMATS.includes(format.toLowerCase())) {
+    throw new IIIFRequestError(`Format not supported: ${format}`, 501);
+  }
+  throw new IIIFRequestError(`Invalid format: ${format}`);
+}
@@ -0,0 +1,134 @@
+/**
+ * Manifest Properties
+ * Descriptive and linking IIIF Presentation 3.0 properties (navPlace, navDate, thumbnail, homepage, seeAlso, provider) from MapWarper metadata
+ */
+
+import { Bbox, LayerInfo, MapInfo } from "./types.js";
+
+/** Contexts for manifests using the navPlace extension; the Presentation context has to come last */
+export const MANIFEST_CONTEXT = [
+  "http://iiif.io/api/extension/navplace/context.json",
+  "http://iiif.io/api/presentation/3/context.json",
+];
+
+/**
+ * Parse MapWarper's free text date_depicted ("1885", "1885-03-12", "c. 1880s") into a navDate
+ * Uses the first year found, with its month and day when given; undefined when there is no year
+ */
+export function parseNavDate(dateDepicted: string | null | undefined): string | undefined {
+  const match = dateDepicted?.match(/(?<!\d)(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?(?!\d)/);
+  if (!match) return undefined;
+
+  const year = Number(match[1]);
+  let month = match[2] ? Number(match[2]) : 1;
+  let day = match[3] ? Number(match[3]) : 1;
+  // Fall back to the start of the year (or month) when the rest isn't a real date
+  if (month < 1 || month > 12) month = day = 1;
+  if (day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) day = 1;
+
+  const pad = (n: number) => n.toString().padStart(2, "0");
+  return `${match[1]}-${pad(month)}-${pad(day)}T00:00:00Z`;
+}
+
+/**
+ * navPlace FeatureCollection with the bbox as a polygon footprint
+ */
+export function navPlace(id: string, bbox: Bbox, label: string) {
+  const [west, south, east, north] = bbox;
+  return {
+    id: `${id}/feature-collection`,
+    type: "FeatureCollection",
+    features: [
+      {
+        id: `${id}/feature/1`,
+        type: "Feature",
+        properties: { label: { en: [label] } },
+        geometry: {
+          type: "Polygon",
+          coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]],
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * The MapWarper instance as the manifest's provider
+ */
+export function provider(mapwarperBaseUrl: string) {
+  const label = { en: [`MapWarper on ${new URL(mapwarperBaseUrl).host}`] };
+  return [
+    {
+      id: mapwarperBaseUrl,
+      type: "Agent",
+      label,
+      homepage: [{ id: mapwarperBaseUrl, type: "Text", label, format: "text/html" }],
+    },
+  ];
+}
+
+/**
+ * Metadata value for a URL: a link, which viewers render as such, or the text itself when it isn't a web URL
+ */
+export function metadataLink(value: string): string {
+  if (!/^https?:\/\//.test(value)) return value;
+  const escaped = value.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  return `<a href="${escaped}">${escaped}</a>`;
+}
+
+function thumbnail(url: string) {
+  return [{ id: url, type: "Image", format: "image/png" }];
+}
+
+function homepage(url: string, label: string) {
+  return [{ id: url, type: "Text", label: { en: [label] }, format: "text/html" }];
+}
+
+/**
+ * Navigation, thumbnail and MapWarper links for a map's manifest or mosaic canvas
+ * `id` is the manifest or canvas id the navPlace features are named after
+ */
+export function mapProperties(id: string, mapInfo: MapInfo) {
+  const label = mapInfo.title || `Map ${mapInfo.id}`;
+  const navDate = parseNavDate(mapInfo.date_depicted);
+  // MapWarper only has a KML overlay once the map is warped
+  const warped = mapInfo.status === "warped" || mapInfo.status === "published";
+
+  return {
+    ...(mapInfo.bbox && { navPlace: navPlace(id, mapInfo.bbox, label) }),
+    ...(navDate && { navDate }),
+    thumbnail: thumbnail(mapInfo.links.thumb),
+    homepage: homepage(mapInfo.links.page, `${label} on MapWarper`),
+    seeAlso: [
+      {
+        id: mapInfo.links.gcps_csv,
+        type: "Dataset",
+        label: { en: ["Ground control points (CSV)"] },
+        format: "text/csv",
+      },
+      ...(warped
+        ? [{ id: mapInfo.links.kml, type: "Dataset", label: { en: ["Warped map (KML)"] }, format: "application/vnd.google-earth.kml+xml" }]
+        : []),
+    ],
+  };
+}
+
+/**
+ * Navigation, thumbnail and MapWarper links for a mosaic manifest
+ */
+export function layerProperties(id: string, layerInfo: LayerInfo) {
+  const label = layerInfo.name || `Layer ${layerInfo.id}`;
+  return {
+    ...(layerInfo.bbox && { navPlace: navPlace(id, layerInfo.bbox, label) }),
+    thumbnail: thumbnail(layerInfo.links.thumb),
+    homepage: homepage(layerInfo.links.page, `${label} on MapWarper`),
+    seeAlso: [
+      {
+        id: layerInfo.links.kml,
+        type: "Dataset",
+        label: { en: ["Warped maps (KML)"] },
+        format: "application/vnd.google-earth.kml+xml",
+      },
+    ],
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Georeference Quality
+ * Per-GCP residuals and RMS error of a georeference under several transformation types
+ */
+
+import { GcpTransformer, TransformationType } from "@allmaps/transform";
+import { minGcps } from "./transformation.js";
+import { metresBetween } from "../sync/gcp-diff.js";
+
+/** Transformation types quality is reported for */
+export const QUALITY_TRANSFORMATIONS = ["polynomial1", "polynomial2", "polynomial3", "thinPlateSpline"] as const;
+
+export type QualityTransformation = (typeof QUALITY_TRANSFORMATIONS)[number];
+
+/** GCP in Georeferenced Map form: resource pixel and [lon, lat] */
+export interface QualityGcp {
+  resource: [number, number];
+  geo: [number, number];
+}
+
+export interface GcpResidual {
+  resource: [number, number];
+  geo: [number, number];
+  /** Distance on the ground between the GCP and its transformed resource point */
+  metres: number;
+  /** Distance in the image between the GCP and its inverse-transformed geo point */
+  pixels: number;
+}
+
+export type TransformationQuality =
+  | { type: QualityTransformation; rmsMetres: number; rmsPixels: number; residuals: GcpResidual[] }
+  | { type: QualityTransformation; error: string };
+
+export interface GeoreferenceQuality {
+  gcpCount: number;
+  transformations: TransformationQuality[];
+}
+
+function rms(values: number[]): number {
+  return Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+}
+
+/**
+ * Fit one transformation type and measure how far each GCP lies from it
+ * Thin-plate splines pass through every GCP, so their residuals are always ~0
+ */
+export function computeTransformationQuality(gcps: QualityGcp[], type: QualityTransformation): TransformationQuality {
+  if (gcps.length < minGcps(type)) {
+    return { type, error: `${type} needs at least ${minGcps(type)} GCPs` };
+  }
+
+  let transformer: GcpTransformer;
+  try {
+    transformer = new GcpTransformer(gcps, type as TransformationType);
+  } catch (error) {
+    return { type, error: error instanceof Error ? error.message : String(error) };
+  }
+
+  const residuals = gcps.map(gcp => {
+    const geo = transformer.transformToGeo(gcp.resource) as [number, number];
+    const [x, y] = transformer.transformToResource(gcp.geo);
+    return {
+      resource: gcp.resource,
+      geo: gcp.geo,
+      metres: metresBetween(geo, gcp.geo),
+      pixels: Math.hypot(x - gcp.resource[0], y - gcp.resource[1]),
+    };
+  });
+
+  return {
+    type,
+    rmsMetres: rms(residuals.map(r => r.metres)),
+    rmsPixels: rms(residuals.map(r => r.pixels)),
+    residuals,
+  };
+}
+
+/**
+ * Compute quality for each requested transformation type
+ */
+export function computeQuality(
+  gcps: QualityGcp[],
+  types: readonly QualityTransformation[] = QUALITY_TRANSFORMATIONS
+): GeoreferenceQuality {
+  return {
+    gcpCount: gcps.length,
+    transformations: types.map(type => computeTransformationQuality(gcps, type)),
+  };
+}
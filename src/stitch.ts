@@ -0,0 +1,73 @@
+/**
+ * WMS Chunk Stitching
+ * Splits image requests larger than MapWarper will render into a grid of WMS chunks and pastes them together
+ */
+
+import type { ParsedRegion, ParsedSize } from "./params.js";
+import type { RgbaImage } from "./image.js";
+
+/** Part of the output image fetched with one WMS request */
+export interface WmsChunk {
+  /** Offset of the chunk in the output image */
+  left: number;
+  top: number;
+  /** Output size of the chunk */
+  size: ParsedSize;
+  /** Image pixels shown in the chunk; fractional when the output is scaled */
+  region: ParsedRegion;
+}
+
+/**
+ * Whether the output is too large for a single WMS request
+ */
+export function needsStitching(size: ParsedSize, wmsMaxSize: number): boolean {
+  return size.width > wmsMaxSize || size.height > wmsMaxSize;
+}
+
+/**
+ * Split the output into chunks of at most `wmsMaxSize` pixels a side, row by row
+ */
+export function planChunks(region: ParsedRegion, size: ParsedSize, wmsMaxSize: number): WmsChunk[] {
+  const scaleX = region.width / size.width;
+  const scaleY = region.height / size.height;
+  const chunks: WmsChunk[] = [];
+
+  for (let top = 0; top < size.height; top += wmsMaxSize) {
+    for (let left = 0; left < size.width; left += wmsMaxSize) {
+      const width = Math.min(wmsMaxSize, size.width - left);
+      const height = Math.min(wmsMaxSize, size.height - top);
+      chunks.push({
+        left,
+        top,
+        size: { width, height },
+        region: {
+          x: region.x + left * scaleX,
+          y: region.y + top * scaleY,
+          width: width * scaleX,
+          height: height * scaleY,
+        },
+      });
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Empty (transparent) RGBA image to paste chunks into
+ */
+export function createCanvas({ width, height }: ParsedSize): RgbaImage {
+  return { width, height, data: new Uint8Array(width * height * 4) };
+}
+
+/**
+ * Copy a decoded chunk into the canvas at its offset, clipping anything past the edges
+ */
+export function pasteChunk(canvas: RgbaImage, image: RgbaImage, left: number, top: number): void {
+  const width = Math.min(image.width, canvas.width - left);
+  const height = Math.min(image.height, canvas.height - top);
+
+  for (let y = 0; y < height; y++) {
+    const start = y * image.width * 4;
+    canvas.data.set(image.data.subarray(start, start + width * 4), ((top + y) * canvas.width + left) * 4);
+  }
+}
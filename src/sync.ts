@@ -0,0 +1,152 @@
+/**
+ * GCP Write-Back
+ * Diffs MapWarper GCPs against Allmaps GCPs and applies the changes through the MapWarper API
+ */
+
+import { Gcp, GcpDiff, MapWarperAuthError, SyncRequestError, WarpMethod } from "./types.js";
+import { getClient } from "./instances.js";
+import { getMapGcps, invalidateMapInfo } from "./iiif.js";
+import { AllmapsTransformation, toWarpMethod } from "./transformation.js";
+import { diffGcps as pairGcps } from "../sync/gcp-diff.js";
+
+// MapWarper needs at least this many GCPs to warp a map
+const MIN_GCPS_FOR_WARP = 3;
+
+export interface SyncOptions {
+  /** MapWarper API key; only required when changes are applied */
+  apiKey?: string;
+  /** Only compute the diff */
+  dryRun?: boolean;
+  /** Re-warp the map after applying changes */
+  rewarp?: boolean;
+  /** Allmaps transformation of the source annotation; selects the warp method when re-warping */
+  transformation?: AllmapsTransformation | null;
+}
+
+export interface SyncResult {
+  dryRun: boolean;
+  diff: GcpDiff;
+  /** Number of changes written (absent for dry runs) */
+  applied?: { created: number; updated: number; deleted: number };
+  /** Changes that MapWarper rejected; the rest were still applied */
+  errors?: string[];
+  rewarped: boolean;
+  /** Warp method matching the Allmaps transformation, used when re-warping */
+  transformOptions: WarpMethod;
+}
+
+/**
+ * Validate the GCP list from a sync request body
+ */
+export function parseSyncGcps(value: unknown): Gcp[] {
+  if (!Array.isArray(value)) {
+    throw new SyncRequestError("Request body must contain a gcps array");
+  }
+  return value.map((gcp, index) => {
+    const parsed = {
+      x: Number(gcp?.x),
+      y: Number(gcp?.y),
+      lon: Number(gcp?.lon),
+      lat: Number(gcp?.lat),
+    };
+    if (!Object.values(parsed).every(Number.isFinite)) {
+      throw new SyncRequestError(`GCP ${index} must have numeric x, y, lon and lat`);
+    }
+    return parsed;
+  });
+}
+
+/**
+ * Validate the optional Allmaps transformation from a sync request body
+ */
+export function parseSyncTransformation(value: unknown): AllmapsTransformation | null {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object" || typeof (value as { type?: unknown }).type !== "string") {
+    throw new SyncRequestError("transformation must be an object with a type");
+  }
+  return value as AllmapsTransformation;
+}
+
+/**
+ * Diff `current` (MapWarper) GCPs against `target` (Allmaps) GCPs, pairing them as the sync UI's diff does
+ * Moved GCPs become updates (MapWarper updates pixel and geo coordinates), unpaired ones creates and deletes
+ */
+export function diffGcps(current: Gcp[], target: Gcp[]): GcpDiff {
+  const { added, removed, moved, unchanged } = pairGcps(current, target);
+  return {
+    create: added,
+    update: moved.map(move => ({ id: move.from.id!, ...move })),
+    delete: removed,
+    unchanged: unchanged.length,
+  };
+}
+
+/**
+ * Bring a map's MapWarper GCPs in line with `target`
+ * Changes are applied one at a time (deletes, then updates, then creates) so a failure
+ * leaves the remaining changes unaffected and is reported in `errors`
+ */
+export async function syncGcps(
+  instance: string,
+  identifier: string,
+  target: Gcp[],
+  options: SyncOptions = {}
+): Promise<SyncResult> {
+  const client = getClient(instance);
+  const diff = diffGcps(await getMapGcps(instance, identifier), target);
+  const transformOptions = toWarpMethod(options.transformation);
+
+  if (options.dryRun) {
+    return { dryRun: true, diff, rewarped: false, transformOptions };
+  }
+  if (!options.apiKey) {
+    throw new SyncRequestError("A MapWarper API key is required to apply changes");
+  }
+  if (options.rewarp && target.length < MIN_GCPS_FOR_WARP) {
+    throw new SyncRequestError(`At least ${MIN_GCPS_FOR_WARP} GCPs are needed to re-warp a map`);
+  }
+
+  const apiKey = options.apiKey;
+  const applied = { created: 0, updated: 0, deleted: 0 };
+  const errors: string[] = [];
+
+  // Auth errors abort the sync; anything else is recorded and skipped
+  const attempt = async (description: string, action: () => Promise<unknown>): Promise<boolean> => {
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      if (error instanceof MapWarperAuthError) throw error;
+      errors.push(`${description}: ${error instanceof Error ? error.message : error}`);
+      return false;
+    }
+  };
+
+  for (const gcp of diff.delete) {
+    if (await attempt(`Delete GCP ${gcp.id}`, () => client.deleteGcp(gcp.id!, apiKey))) applied.deleted++;
+  }
+  for (const { id, to } of diff.update) {
+    if (await attempt(`Update GCP ${id}`, () => client.updateGcp(id, to, apiKey))) applied.updated++;
+  }
+  for (const gcp of diff.create) {
+    if (await attempt(`Create GCP at ${gcp.x},${gcp.y}`, () => client.createGcp(identifier, gcp, apiKey))) applied.created++;
+  }
+
+  // Don't warp a map whose GCPs were only partially synced
+  let rewarped = false;
+  if (options.rewarp && errors.length === 0) {
+    rewarped = await attempt("Re-warp", () => client.rectifyMap(identifier, apiKey, transformOptions));
+  }
+
+  // Warping changes updated_at, which versions cached tiles
+  await invalidateMapInfo(instance, identifier);
+
+  return {
+    dryRun: false,
+    diff,
+    applied,
+    ...(errors.length > 0 && { errors }),
+    rewarped,
+    transformOptions,
+  };
+}
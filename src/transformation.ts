@@ -0,0 +1,40 @@
+/**
+ * Transformation Type Mapping
+ * Converts between MapWarper warp methods and Allmaps transformation types
+ * The mapping itself lives in sync/warp-methods.js, so the sync UI uses the same rules
+ */
+
+import type { GeoreferencedMap } from "@allmaps/annotation";
+import type { TransformationType } from "@allmaps/transform";
+
+export type AllmapsTransformation = NonNullable<GeoreferencedMap["transformation"]>;
+
+export { WARP_METHODS, autoPolynomialOrder, toAllmapsTransformation, toWarpMethod, parseWarpMethod } from "../sync/warp-methods.js";
+
+/**
+ * GcpTransformer type for an Allmaps transformation (first order polynomial when absent)
+ */
+export function toTransformationType(transformation?: AllmapsTransformation | null): TransformationType {
+  if (!transformation) return "polynomial1";
+  if (transformation.type !== "polynomial") return transformation.type as TransformationType;
+  const order = Number(transformation.options?.order ?? 1);
+  return order === 2 ? "polynomial2" : order === 3 ? "polynomial3" : "polynomial1";
+}
+
+// Fewest GCPs each transformation type can be fitted with, as @allmaps/transform requires
+const MIN_GCPS: Partial<Record<TransformationType, number>> = {
+  straight: 2,
+  helmert: 2,
+  polynomial1: 3,
+  polynomial2: 6,
+  polynomial3: 10,
+  projective: 4,
+  thinPlateSpline: 3,
+};
+
+/**
+ * Fewest GCPs a GcpTransformer of this type accepts
+ */
+export function minGcps(type: TransformationType): number {
+  return MIN_GCPS[type] ?? 3;
+}
@@ -2,6 +2,12 @@
  * TypeScript interfaces for MapWarper IIIF Shim
  */
 
+/** MapWarper map type: a map, an index sheet or something else entirely */
+export type MapType = "index" | "is_map" | "not_map";
+
+/** MapWarper warp method: polynomial order (auto-selected or 1–3) or thin-plate spline */
+export type WarpMethod = "auto" | "p1" | "p2" | "p3" | "tps";
+
 /** MapWarper API response for a single map */
 export interface MapWarperMap {
   id: string;
@@ -16,10 +22,11 @@ export interface MapWarperMap {
     created_at: string;
     updated_at: string;
     bbox: string | null;
-    map_type: "index" | "is_map" | "not_map";
+    map_type: MapType;
     source_uri: string;
     unique_id: string;
     date_depicted: string;
+    transform_options?: WarpMethod;
   };
   links: {
     self: string;
@@ -74,6 +81,38 @@ export interface MapWarperLayerApiResponse {
   data: MapWarperLayer;
 }
 
+/** MapWarper API response for one page of the maps or layers index */
+export interface MapWarperListApiResponse<T> {
+  data: T[];
+  meta: {
+    total_entries: number;
+    total_pages: number;
+  };
+}
+
+/** MapWarper API response for a single ground control point */
+export interface MapWarperGcp {
+  id: string;
+  type: "gcps";
+  attributes: {
+    x: number | string;
+    y: number | string;
+    lat: number | string;
+    lon: number | string;
+    map_id: number;
+    created_at: string;
+    updated_at: string;
+  };
+}
+
+/** MapWarper GCP list API response wrapper */
+export interface MapWarperGcpsApiResponse {
+  data: MapWarperGcp[];
+}
+
+/** Geographic extent as [west, south, east, north] in WGS84 degrees */
+export type Bbox = [number, number, number, number];
+
 /** Simplified map info for internal use */
 export interface MapInfo {
   id: string;
@@ -86,6 +125,17 @@ export interface MapInfo {
   updated_at: string;
   source_uri: string;
   date_depicted: string;
+  transform_options: WarpMethod;
+  map_type: MapType;
+  /** Extent of the warped map; null until MapWarper has warped it */
+  bbox: Bbox | null;
+  /** Absolute MapWarper URLs */
+  links: {
+    page: string;
+    thumb: string;
+    gcps_csv: string;
+    kml: string;
+  };
 }
 
 /** Simplified layer info for internal use */
@@ -94,6 +144,72 @@ export interface LayerInfo {
   name: string;
   description: string | null;
   mapIds: string[];
+  bbox: Bbox | null;
+  /** Absolute MapWarper URLs */
+  links: {
+    page: string;
+    thumb: string;
+    kml: string;
+  };
+}
+
+/** Filters for the maps and layers index endpoints */
+export interface ListQuery {
+  /** 1-based page number */
+  page?: number;
+  perPage?: number;
+  /** Free text search */
+  query?: string;
+  /** Only maps MapWarper has warped (maps index only) */
+  warpedOnly?: boolean;
+}
+
+/** Map left out of a mosaic, and why */
+export interface SkippedMap {
+  id: string;
+  reason: string;
+}
+
+/** One page of a MapWarper listing */
+export interface ListPage<T> {
+  items: T[];
+  page: number;
+  totalPages: number;
+  totalEntries: number;
+}
+
+/** Map as listed in the maps index */
+export interface MapSummary {
+  id: string;
+  title: string;
+  status: string;
+}
+
+/** Layer as listed in the layers index */
+export interface LayerSummary {
+  id: string;
+  name: string;
+  description: string | null;
+  mapsCount: number;
+}
+
+/** Simplified GCP for internal use (x/y in MapWarper pixel space, Y=0 at top) */
+export interface Gcp {
+  /** MapWarper GCP ID (absent for GCPs not yet stored in MapWarper) */
+  id?: string;
+  x: number;
+  y: number;
+  lon: number;
+  lat: number;
+}
+
+/** Changes needed to turn one GCP set into another */
+export interface GcpDiff {
+  create: Gcp[];
+  /** Paired GCPs that moved, with the pixel and ground distance they moved */
+  update: Array<{ id: string; from: Gcp; to: Gcp; pixelDelta: number; metreDelta: number }>;
+  delete: Gcp[];
+  unchanged: number;
 }
 
 /** Error thrown when map is not found */
@@ -111,3 +227,83 @@ export class LayerNotFoundError extends Error {
     this.name = "LayerNotFoundError";
   }
 }
+
+/** Error thrown when MapWarper has no image for a map (409) or is still loading it (503) */
+export class MapUnavailableError extends Error {
+  status: 409 | 503;
+  /** Why the map can't be served, without the map ID */
+  reason: string;
+  /** Seconds after which the image may be available, sent as Retry-After */
+  retryAfter?: number;
+
+  constructor(id: string, reason: string, status: 409 | 503 = 409, retryAfter?: number) {
+    super(`Map ${id} is not available: ${reason}`);
+    this.name = "MapUnavailableError";
+    this.status = status;
+    this.reason = reason;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** Error thrown when a MapWarper instance name is not configured */
+export class InstanceNotFoundError extends Error {
+  constructor(name: string) {
+    super(`MapWarper instance not found: ${name}`);
+    this.name = "InstanceNotFoundError";
+  }
+}
+
+/** Error thrown for invalid (400) or unsupported (501) IIIF image request parameters */
+export class IIIFRequestError extends Error {
+  status: 400 | 501;
+
+  constructor(message: string, status: 400 | 501 = 400) {
+    super(message);
+    this.name = "IIIFRequestError";
+    this.status = status;
+  }
+}
+
+/** Error thrown when MapWarper rejects (401) or forbids (403) an authenticated request */
+export class MapWarperAuthError extends Error {
+  status: 401 | 403;
+
+  constructor(message: string, status: 401 | 403 = 401) {
+    super(message);
+    this.name = "MapWarperAuthError";
+    this.status = status;
+  }
+}
+
+/** Error thrown for malformed GCP sync requests */
+export class SyncRequestError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = "SyncRequestError";
+  }
+}
+
+/** Error thrown when a map's georeferencing can't be expressed in an export format */
+export class ExportError extends Error {
+  status: 409 | 422;
+
+  constructor(message: string, status: 409 | 422 = 422) {
+    super(message);
+    this.name = "ExportError";
+    this.status = status;
+  }
+}
+
+/** Error thrown when MapWarper fails (502), is unavailable (503) or does not respond in time (504) */
+export class UpstreamError extends Error {
+  status: 502 | 503 | 504;
+  /** Seconds after which a retry may succeed, sent as Retry-After */
+  retryAfter?: number;
+
+  constructor(message: string, status: 502 | 503 | 504 = 502, retryAfter?: number) {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Upstream Requests
+ * Timeouts, retries with backoff, in-flight deduplication and per-host circuit breaking for MapWarper calls
+ */
+
+import { UpstreamError } from "./types.js";
+
+/** Default seconds to wait for an upstream response */
+export const DEFAULT_UPSTREAM_TIMEOUT = 20;
+
+// Retries after the first attempt, for GET requests only
+const MAX_RETRIES = 2;
+const BACKOFF_MS = 200;
+
+// Longest upstream Retry-After (seconds) waited out before retrying; longer ones are passed on to the client
+const MAX_RETRY_AFTER = 2;
+
+// Statuses that say the host is struggling rather than that the request is wrong
+const TRANSIENT_STATUSES = [429, 502, 503, 504];
+
+// Consecutive failed calls that open a host's circuit, and how long it stays open
+const FAILURE_THRESHOLD = 5;
+const COOLDOWN_MS = 30_000;
+
+let timeoutMs = DEFAULT_UPSTREAM_TIMEOUT * 1000;
+
+/**
+ * Configure the upstream timeout (UPSTREAM_TIMEOUT, in seconds)
+ */
+export function configureUpstream(options: { timeout?: string }): void {
+  const timeout = options.timeout ? parseFloat(options.timeout) : NaN;
+  timeoutMs = (Number.isFinite(timeout) && timeout > 0 ? timeout : DEFAULT_UPSTREAM_TIMEOUT) * 1000;
+}
+
+/**
+ * Stops calls to a failing host for a cooldown, then lets a single probe through
+ */
+export class CircuitBreaker {
+  private failures = 0;
+  private openedAt: number | null = null;
+  private probing = false;
+
+  constructor(
+    private threshold = FAILURE_THRESHOLD,
+    private cooldownMs = COOLDOWN_MS,
+    private now: () => number = Date.now
+  ) {}
+
+  /**
+   * Ask to make a call: 0 when allowed, otherwise seconds until the next attempt may be
+   */
+  acquire(): number {
+    if (this.openedAt === null) return 0;
+    const remaining = this.openedAt + this.cooldownMs - this.now();
+    if (remaining > 0) return Math.ceil(remaining / 1000);
+    // Half open: one probe decides whether the circuit closes again
+    if (this.probing) return 1;
+    this.probing = true;
+    return 0;
+  }
+
+  recordSuccess(): void {
+    this.failures = 0;
+    this.openedAt = null;
+    this.probing = false;
+  }
+
+  recordFailure(): void {
+    this.failures++;
+    this.probing = false;
+    if (this.failures >= this.threshold) this.openedAt = this.now();
+  }
+}
+
+// Per-isolate state, shared by all requests the isolate serves
+const breakers = new Map<string, CircuitBreaker>();
+const inFlight = new Map<string, Promise<unknown>>();
+
+function breakerFor(origin: string): CircuitBreaker {
+  let breaker = breakers.get(origin);
+  if (!breaker) {
+    breaker = new CircuitBreaker();
+    breakers.set(origin, breaker);
+  }
+  return breaker;
+}
+
+/**
+ * Share one pending call between identical concurrent ones, e.g. tiles of a cold map all looking up its metadata
+ * Only use for results that are plain data, as Workers can't share I/O objects between requests
+ */
+export function coalesce<T>(key: string, fn: () => Promise<T>): Promise<T> {
+  const pending = inFlight.get(key);
+  if (pending) return pending as Promise<T>;
+
+  const promise = fn().finally(() => inFlight.delete(key));
+  inFlight.set(key, promise);
+  return promise;
+}
+
+/**
+ * Call `fn` for each item with at most `limit` calls in flight, resolving with the results in item order
+ */
+export async function mapConcurrently<T, R>(items: T[], limit: number, fn: (item: T, index: number) => Promise<R>): Promise<R[]> {
+  const results = new Array<R>(items.length);
+  let next = 0;
+
+  const run = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+
+  return results;
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date) into whole seconds
+ */
+export function parseRetryAfter(value: string | null, now = Date.now()): number | undefined {
+  if (!value) return undefined;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - now) / 1000));
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Error for a 5xx or 429 response: unavailable (503), upstream timeout (504) or failure (502)
+ */
+function responseError(origin: string, response: Response, retryAfter: number | undefined): UpstreamError {
+  const message = `${origin} responded ${response.status} ${response.statusText}`.trim();
+  if (response.status === 429 || response.status === 503) return new UpstreamError(message, 503, retryAfter);
+  if (response.status === 504) return new UpstreamError(message, 504);
+  return new UpstreamError(message);
+}
+
+/**
+ * fetch() with a timeout, retries of transient failures and a circuit breaker per host
+ * Resolves with responses below 500 (callers handle 404s and the like) and throws UpstreamError otherwise
+ */
+export async function upstreamFetch(url: string, init: RequestInit = {}): Promise<Response> {
+  const { origin } = new URL(url);
+  const breaker = breakerFor(origin);
+  const wait = breaker.acquire();
+  if (wait > 0) {
+    throw new UpstreamError(`${origin} is unavailable after repeated failures`, 503, wait);
+  }
+
+  // Writes aren't idempotent, so only reads are retried
+  const method = (init.method || "GET").toUpperCase();
+  const attempts = method === "GET" || method === "HEAD" ? MAX_RETRIES + 1 : 1;
+  let failure: UpstreamError | undefined;
+
+  for (let attempt = 0; attempt < attempts; attempt++) {
+    let delay = BACKOFF_MS * 2 ** attempt * (1 + Math.random() / 2);
+
+    try {
+      const response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+      if (response.status < 500 && response.status !== 429) {
+        breaker.recordSuccess();
+        return response;
+      }
+
+      await response.body?.cancel();
+      const retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+      failure = responseError(origin, response, retryAfter);
+
+      // A plain 500 is about this request, not the host, so it's neither retried nor counted against it
+      if (!TRANSIENT_STATUSES.includes(response.status)) {
+        breaker.recordSuccess();
+        throw failure;
+      }
+      if (retryAfter !== undefined) {
+        if (retryAfter > MAX_RETRY_AFTER) break;
+        delay = retryAfter * 1000;
+      }
+    } catch (error) {
+      if (error instanceof UpstreamError) throw error;
+      failure = (error as Error).name === "TimeoutError"
+        ? new UpstreamError(`${origin} did not respond within ${timeoutMs / 1000}s`, 504)
+        : new UpstreamError(`${origin} could not be reached: ${(error as Error).message}`);
+    }
+
+    if (attempt < attempts - 1) await sleep(delay);
+  }
+
+  breaker.recordFailure();
+  throw failure!;
+}
@@ -5,14 +5,51 @@
 
 import { Hono, Context } from "hono";
 import { cors } from "hono/cors";
-import { processImageRequest, getMapInfoForIIIF, getLayerInfo, getMapMask, MapNotFoundError, LayerNotFoundError } from "./iiif.js";
+import { generateAnnotation, GeoreferencedMap } from "@allmaps/annotation";
+import { processImageRequest, IIIFVersion, getAvailableMapInfo, getLayerInfo, getMapMask, getMapGcps, MapNotFoundError, LayerNotFoundError, IIIFRequestError, InstanceNotFoundError, MapUnavailableError } from "./iiif.js";
+import { describeSkipped, getGeoreferencedMap, getGeoreferencedMaps, NO_GCPS, toIiifMask, ImageServiceRef } from "./georef.js";
+import { getTileCacheTtl, tileCacheControl } from "./cache.js";
+import { advertisedLimits, getImageLimits } from "./limits.js";
+import { ADVERTISED_FORMATS, ParsedSize, parseSize, SizeLimits } from "./params.js";
+import { configureMetadataCache, KvStore } from "./metadata-cache.js";
+import { configureInstances, getClient, listInstances } from "./instances.js";
+import { parseSyncGcps, parseSyncTransformation, syncGcps } from "./sync.js";
+import { buildGmlMask, parseResourceMask } from "./mask.js";
+import { largestOuterRing, MaskParseError } from "../sync/geometry.js";
+import { MAP_TYPES } from "../sync/map-status.js";
+import { fitGeoTransform, GeoTransform, isAffine, scaleGeoTransform, toGeoJson, toQgisPoints, toVrt, toWorldFile } from "./export.js";
+import { buildLayersCollection, buildMapsCollection, buildRootCollection, parseCollectionPage } from "./collection.js";
+import { configureAllmaps, fetchAllmapsGeoreferencedMaps } from "./allmaps.js";
+import { computeQuality, QUALITY_TRANSFORMATIONS, QualityTransformation } from "./quality.js";
+import { configureUpstream } from "./upstream.js";
+import { getMosaicMaps, MosaicQuery, mosaicQueryString } from "./mosaic.js";
+import { layerProperties, mapProperties, metadataLink, MANIFEST_CONTEXT, provider } from "./presentation.js";
+import { ExportError, MapType, MapWarperAuthError, SyncRequestError, UpstreamError } from "./types.js";
 
 type Bindings = {
   ASSETS: { fetch: (request: Request) => Promise<Response> };
+  TILE_CACHE_TTL?: string;
+  IMAGE_MAX_WIDTH?: string;
+  IMAGE_MAX_AREA?: string;
+  WMS_MAX_SIZE?: string;
+  UPSTREAM_TIMEOUT?: string;
+  METADATA_CACHE_TTL?: string;
+  METADATA_KV?: KvStore;
+  MAPWARPER_INSTANCES?: string | Record<string, string>;
+  ALLMAPS_ANNOTATIONS_URL?: string;
 };
 
 const app = new Hono<{ Bindings: Bindings }>();
 
+// Tile sizes advertised in info.json
+const IIIF_TILES = [
+  {
+    width: 512,
+    height: 512,
+    scaleFactors: [1, 2, 4, 8, 16, 32],
+  },
+];
+
 // Common headers for IIIF responses
 const IIIF_HEADERS = {
   "Content-Type": "application/ld+json",
@@ -24,13 +61,142 @@ const IIIF_HEADERS = {
  * Handle common errors and return appropriate responses
  */
 function handleError(c: Context, error: unknown, context: string) {
-  if (error instanceof MapNotFoundError || error instanceof LayerNotFoundError) {
+  if (error instanceof MapNotFoundError || error instanceof LayerNotFoundError || error instanceof InstanceNotFoundError) {
     return c.json({ error: error.message }, 404);
   }
+  if (error instanceof IIIFRequestError || error instanceof MapWarperAuthError || error instanceof ExportError) {
+    return c.json({ error: error.message }, error.status);
+  }
+  if (error instanceof SyncRequestError) {
+    return c.json({ error: error.message }, 400);
+  }
+  // MapWarper served a mask we can't read
+  if (error instanceof MaskParseError) {
+    return c.json({ error: error.message }, 502);
+  }
+  // MapWarper failed, is unavailable or timed out, or has no image for the map (yet)
+  if (error instanceof UpstreamError || error instanceof MapUnavailableError) {
+    if (error.retryAfter !== undefined) c.header("Retry-After", String(error.retryAfter));
+    return c.json({ error: error.message }, error.status);
+  }
   console.error(`Error ${context}:`, error);
   return c.json({ error: "Internal server error" }, 500);
 }
 
+/**
+ * Whether a boolean query flag is set (?name=1 or ?name=true)
+ */
+function queryFlag(c: Context, name: string): boolean {
+  const value = c.req.query(name);
+  return value === "1" || value === "true";
+}
+
+/**
+ * Whether the request asks to bypass the metadata cache (?refresh=1)
+ */
+function wantsRefresh(c: Context): boolean {
+  return queryFlag(c, "refresh");
+}
+
+/**
+ * Map types to leave out of manifests (?exclude=index,not_map)
+ */
+function excludedMapTypes(c: Context): MapType[] {
+  const value = c.req.query("exclude");
+  if (!value) return [];
+  const types = value.split(",").map(type => type.trim());
+  const unknown = types.filter(type => !(type in MAP_TYPES));
+  if (unknown.length > 0) {
+    throw new IIIFRequestError(`Unknown map type: ${unknown.join(", ")} (expected ${Object.keys(MAP_TYPES).join(", ")})`);
+  }
+  return types as MapType[];
+}
+
+/**
+ * Paging and filters of a mosaic URL (?page=, ?rectified=1, ?exclude=)
+ */
+function mosaicQuery(c: Context): MosaicQuery {
+  return {
+    page: parseCollectionPage(c.req.query("page")),
+    rectifiedOnly: queryFlag(c, "rectified"),
+    exclude: excludedMapTypes(c),
+  };
+}
+
+/**
+ * Canvas `annotations` entry holding a map's georeference annotation
+ */
+function georefAnnotations(canvasId: string, georeferencedMap: GeoreferencedMap | null | undefined) {
+  if (!georeferencedMap) return {};
+  return {
+    annotations: [
+      {
+        id: `${canvasId}/georef`,
+        type: "AnnotationPage",
+        items: [generateAnnotation({ ...georeferencedMap, id: `${canvasId}/georef/1` })],
+      },
+    ],
+  };
+}
+
+/**
+ * IIIF Image API version requested for generated annotations (?iiif=2, default 3)
+ */
+function requestedIiifVersion(c: Context): IIIFVersion {
+  return c.req.query("iiif") === "2" ? 2 : 3;
+}
+
+/**
+ * Image service for a map in the given IIIF Image API version
+ */
+function imageService(baseUrl: string, instance: string, mapId: string, version: IIIFVersion): ImageServiceRef {
+  return version === 2
+    ? { id: `${baseUrl}/${instance}/maps/${mapId}/iiif2`, type: "ImageService2" }
+    : { id: `${baseUrl}/${instance}/maps/${mapId}/iiif`, type: "ImageService3" };
+}
+
+/**
+ * Georeferenced Map for the export endpoints, referencing the IIIF 3.0 image service
+ */
+function getExportMap(c: Context, instance: string, identifier: string): Promise<GeoreferencedMap | null> {
+  const baseUrl = new URL(c.req.url).origin;
+  return getGeoreferencedMap(instance, identifier, imageService(baseUrl, instance, identifier, 3), wantsRefresh(c));
+}
+
+/**
+ * Affine geotransform of a first order warp for the IIIF full image at its "max" size
+ * Images beyond the size limits are served scaled down, so the geotransform is scaled to match
+ */
+function affineGeoTransform(c: Context, georeferencedMap: GeoreferencedMap): { geoTransform: GeoTransform; size: ParsedSize } {
+  if (!isAffine(georeferencedMap)) {
+    throw new ExportError("World files and VRTs describe first order polynomial warps only", 409);
+  }
+  const { width, height } = georeferencedMap.resource;
+  if (!width || !height) {
+    throw new ExportError("Image size is unknown");
+  }
+  const size = parseSize("max", width, height, getImageLimits(c.env));
+  return { geoTransform: scaleGeoTransform(fitGeoTransform(georeferencedMap.gcps), { width, height }, size), size };
+}
+
+/**
+ * Downloadable file response
+ */
+function attachment(c: Context, body: string, contentType: string, filename: string) {
+  return c.body(body, 200, {
+    "Content-Type": contentType,
+    "Content-Disposition": `attachment; filename="${filename}"`,
+  });
+}
+
+/**
+ * MapWarper API key from an `Authorization: Bearer <key>` header
+ */
+function bearerToken(c: Context): string | undefined {
+  const match = c.req.header("Authorization")?.match(/^Bearer\s+(\S+)$/i);
+  return match?.[1];
+}
+
 /**
  * Return JSON response with IIIF headers
  */
@@ -41,6 +207,13 @@ function jsonWithIiifHeaders(c: Context, data: object) {
 
 // Middleware
 app.use("*", cors());
+app.use("*", async (c, next) => {
+  configureMetadataCache({ kv: c.env.METADATA_KV, ttl: c.env.METADATA_CACHE_TTL });
+  configureInstances(c.env.MAPWARPER_INSTANCES);
+  configureAllmaps(c.env.ALLMAPS_ANNOTATIONS_URL);
+  configureUpstream({ timeout: c.env.UPSTREAM_TIMEOUT });
+  await next();
+});
 
 // Serve static sync site under /sync
 app.get("/sync", (c) => {
@@ -60,30 +233,93 @@ app.get("/", (c) => {
     description: "IIIF Image API 3.0 for MapWarper maps with Allmaps sync tools",
     documentation: "https://iiif.io/api/image/3.0/",
     syncTool: "/sync",
+    instances: listInstances().map(i => i.name),
     endpoints: {
-      maps: "/mapwarper/maps/{mapId}/iiif/info.json",
-      manifest: "/mapwarper/maps/{mapId}/iiif/manifest.json",
-      mosaic: "/mapwarper/mosaic/{layerId}/manifest.json",
-      image: "/mapwarper/maps/{mapId}/iiif/{region}/{size}/{rotation}/{quality}.{format}",
+      maps: "/{instance}/maps/{mapId}/iiif/info.json",
+      manifest: "/{instance}/maps/{mapId}/iiif/manifest.json",
+      mosaic: "/{instance}/mosaic/{layerId}/manifest.json",
+      annotation: "/{instance}/maps/{mapId}/georef/annotation.json",
+      mosaicAnnotation: "/{instance}/mosaic/{layerId}/annotation.json",
+      collection: "/{instance}/collection.json",
+      layersCollection: "/{instance}/collection/layers.json?page={page}&q={query}",
+      mapsCollection: "/{instance}/collection/maps.json?page={page}&rectified=1&q={query}",
+      gcpSync: "POST /{instance}/maps/{mapId}/georef/sync",
+      maskGml: "POST /{instance}/maps/{mapId}/georef/mask.gml",
+      quality: "/{instance}/maps/{mapId}/georef/quality.json",
+      geojson: "/{instance}/maps/{mapId}/georef/map.geojson",
+      qgisPoints: "/{instance}/maps/{mapId}/georef/gcps.points",
+      worldFile: "/{instance}/maps/{mapId}/georef/map.wld",
+      vrt: "/{instance}/maps/{mapId}/georef/map.vrt",
+      image: "/{instance}/maps/{mapId}/iiif/{region}/{size}/{rotation}/{quality}.{format}",
+      mapsV2: "/{instance}/maps/{mapId}/iiif2/info.json",
     },
     deployment: "Cloudflare Workers",
   });
 });
 
+// Configured MapWarper instances (used by the sync UI)
+app.get("/instances.json", (c) => {
+  return c.json({ instances: listInstances() });
+});
+
+// IIIF Presentation API 3.0 collections for browsing an instance's layers and maps
+app.get("/:instance/collection.json", (c) => {
+  const { instance } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+
+  try {
+    return jsonWithIiifHeaders(c, buildRootCollection(baseUrl, instance));
+  } catch (error) {
+    return handleError(c, error, "generating collection");
+  }
+});
+
+app.get("/:instance/collection/layers.json", async (c) => {
+  const { instance } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+
+  try {
+    const collection = await buildLayersCollection(baseUrl, instance, {
+      query: c.req.query("q"),
+      page: parseCollectionPage(c.req.query("page")),
+    });
+    return jsonWithIiifHeaders(c, collection);
+  } catch (error) {
+    return handleError(c, error, "generating layers collection");
+  }
+});
+
+app.get("/:instance/collection/maps.json", async (c) => {
+  const { instance } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+
+  try {
+    const collection = await buildMapsCollection(baseUrl, instance, {
+      query: c.req.query("q"),
+      rectifiedOnly: queryFlag(c, "rectified"),
+      page: parseCollectionPage(c.req.query("page")),
+    });
+    return jsonWithIiifHeaders(c, collection);
+  } catch (error) {
+    return handleError(c, error, "generating maps collection");
+  }
+});
+
 // IIIF base identifier redirect to info.json
-app.get("/mapwarper/maps/:identifier/iiif", (c) => {
-  const identifier = c.req.param("identifier");
-  return c.redirect(`/mapwarper/maps/${identifier}/iiif/info.json`, 303);
+app.get("/:instance/maps/:identifier/iiif", (c) => {
+  const { instance, identifier } = c.req.param();
+  return c.redirect(`/${instance}/maps/${identifier}/iiif/info.json`, 303);
 });
 
 // IIIF info.json endpoint
-app.get("/mapwarper/maps/:identifier/iiif/info.json", async (c) => {
-  const identifier = c.req.param("identifier");
+app.get("/:instance/maps/:identifier/iiif/info.json", async (c) => {
+  const { instance, identifier } = c.req.param();
   const baseUrl = new URL(c.req.url).origin;
-  const iiifId = `${baseUrl}/mapwarper/maps/${identifier}/iiif`;
+  const iiifId = `${baseUrl}/${instance}/maps/${identifier}/iiif`;
 
   try {
-    const mapInfo = await getMapInfoForIIIF(identifier);
+    const mapInfo = await getAvailableMapInfo(instance, identifier, wantsRefresh(c));
+    const limits = getImageLimits(c.env);
     
     // Build IIIF 3.0 Image Information response
     const info = {
@@ -94,30 +330,80 @@ app.get("/mapwarper/maps/:identifier/iiif/info.json", async (c) => {
       profile: "level1",
       width: mapInfo.width,
       height: mapInfo.height,
-      tiles: [
+      ...advertisedLimits(limits),
+      tiles: IIIF_TILES,
+      sizes: generateSizes(mapInfo.width, mapInfo.height, limits),
+      // Level 1 only requires jpg
+      extraFormats: ADVERTISED_FORMATS.filter(format => format !== "jpg"),
+      extraQualities: ["color", "gray", "bitonal"],
+      extraFeatures: ["mirroring", "rotationBy90s"],
+    };
+
+    return jsonWithIiifHeaders(c, info);
+  } catch (error) {
+    return handleError(c, error, "processing info.json");
+  }
+});
+
+// IIIF Image API 2.1 base identifier redirect to info.json
+app.get("/:instance/maps/:identifier/iiif2", (c) => {
+  const { instance, identifier } = c.req.param();
+  return c.redirect(`/${instance}/maps/${identifier}/iiif2/info.json`, 303);
+});
+
+// IIIF Image API 2.1 info.json endpoint for older viewers
+app.get("/:instance/maps/:identifier/iiif2/info.json", async (c) => {
+  const { instance, identifier } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+  const iiifId = `${baseUrl}/${instance}/maps/${identifier}/iiif2`;
+
+  try {
+    const mapInfo = await getAvailableMapInfo(instance, identifier, wantsRefresh(c));
+    const limits = getImageLimits(c.env);
+
+    // Build IIIF 2.1 Image Information response
+    const info = {
+      "@context": "http://iiif.io/api/image/2/context.json",
+      "@id": iiifId,
+      protocol: "http://iiif.io/api/image",
+      width: mapInfo.width,
+      height: mapInfo.height,
+      profile: [
+        "http://iiif.io/api/image/2/level1.json",
         {
-          width: 512,
-          height: 512,
-          scaleFactors: [1, 2, 4, 8, 16, 32],
+          formats: ADVERTISED_FORMATS,
+          qualities: ["default", "color", "gray", "bitonal"],
+          supports: ["mirroring", "rotationBy90s", "sizeAboveFull"],
+          ...advertisedLimits(limits),
         },
       ],
-      sizes: generateSizes(mapInfo.width, mapInfo.height),
+      tiles: IIIF_TILES,
+      sizes: generateSizes(mapInfo.width, mapInfo.height, limits),
     };
 
     return jsonWithIiifHeaders(c, info);
   } catch (error) {
-    return handleError(c, error, "processing info.json");
+    return handleError(c, error, "processing IIIF 2.1 info.json");
   }
 });
 
 // IIIF Presentation API 3.0 manifest endpoint
-app.get("/mapwarper/maps/:identifier/iiif/manifest.json", async (c) => {
-  const identifier = c.req.param("identifier");
+app.get("/:instance/maps/:identifier/iiif/manifest.json", async (c) => {
+  const { instance, identifier } = c.req.param();
   const baseUrl = new URL(c.req.url).origin;
-  const iiifBase = `${baseUrl}/mapwarper/maps/${identifier}/iiif`;
+  const iiifBase = `${baseUrl}/${instance}/maps/${identifier}/iiif`;
 
   try {
-    const mapInfo = await getMapInfoForIIIF(identifier);
+    const refresh = wantsRefresh(c);
+    const georef = queryFlag(c, "georef");
+    const exclude = excludedMapTypes(c);
+    const mapInfo = await getAvailableMapInfo(instance, identifier, refresh);
+    if (exclude.includes(mapInfo.map_type)) {
+      throw new MapUnavailableError(identifier, `MapWarper marks it as "${MAP_TYPES[mapInfo.map_type]}"`);
+    }
+    const georeferencedMap = georef
+      ? await getGeoreferencedMap(instance, identifier, imageService(baseUrl, instance, identifier, 3), refresh)
+      : null;
 
     // Build metadata array from available fields
     const metadata: Array<{ label: { en: string[] }; value: { en: string[] } }> = [];
@@ -137,7 +423,7 @@ app.get("/mapwarper/maps/:identifier/iiif/manifest.json", async (c) => {
     if (mapInfo.source_uri) {
       metadata.push({
         label: { en: ["Source"] },
-        value: { en: [mapInfo.source_uri] },
+        value: { en: [metadataLink(mapInfo.source_uri)] },
       });
     }
     if (mapInfo.created_at) {
@@ -154,13 +440,15 @@ app.get("/mapwarper/maps/:identifier/iiif/manifest.json", async (c) => {
     }
 
     const manifest = {
-      "@context": "http://iiif.io/api/presentation/3/context.json",
-      id: `${iiifBase}/manifest.json`,
+      "@context": MANIFEST_CONTEXT,
+      id: `${iiifBase}/manifest.json${georef ? "?georef=true" : ""}`,
       type: "Manifest",
       label: {
         en: [mapInfo.title || `Map ${identifier}`],
       },
       ...(metadata.length > 0 && { metadata }),
+      ...mapProperties(iiifBase, mapInfo),
+      provider: provider(getClient(instance).baseUrl),
       items: [
         {
           id: `${iiifBase}/canvas/1`,
@@ -195,6 +483,7 @@ app.get("/mapwarper/maps/:identifier/iiif/manifest.json", async (c) => {
               ],
             },
           ],
+          ...georefAnnotations(`${iiifBase}/canvas/1`, georeferencedMap),
         },
       ],
     };
@@ -206,61 +495,240 @@ app.get("/mapwarper/maps/:identifier/iiif/manifest.json", async (c) => {
 });
 
 // IIIF-format mask endpoint - returns coordinates with Y=0 at top
-app.get("/mapwarper/maps/:identifier/iiif/mask.json", async (c) => {
-  const identifier = c.req.param("identifier");
+app.get("/:instance/maps/:identifier/iiif/mask.json", async (c) => {
+  const { instance, identifier } = c.req.param();
 
   try {
-    const [maskCoords, mapInfo] = await Promise.all([
-      getMapMask(identifier),
-      getMapInfoForIIIF(identifier)
+    const [mask, mapInfo] = await Promise.all([
+      getMapMask(instance, identifier),
+      getAvailableMapInfo(instance, identifier, wantsRefresh(c))
     ]);
     
-    if (!maskCoords || maskCoords.length < 3) {
+    if (!mask) {
       return c.json({ error: "No mask found for this map" }, 404);
     }
     
     // Flip Y-axis: MapWarper has Y=0 at bottom, IIIF has Y=0 at top
-    const iiifCoords = maskCoords.map(([x, y]) => [x, mapInfo.height - y]);
+    // `coords` is the largest part's outer ring; `polygons` has every part with its holes
+    const polygons = mask.map(polygon => polygon.map(ring => toIiifMask(ring, mapInfo.height)));
     
-    return c.json({ coords: iiifCoords });
+    return c.json({ coords: toIiifMask(largestOuterRing(mask), mapInfo.height), polygons });
   } catch (error) {
     return handleError(c, error, "fetching mask");
   }
 });
 
+// Georeference Annotation built from MapWarper GCPs and mask
+app.get("/:instance/maps/:identifier/georef/annotation.json", async (c) => {
+  const { instance, identifier } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+  const service = imageService(baseUrl, instance, identifier, requestedIiifVersion(c));
+
+  try {
+    const georeferencedMap = await getGeoreferencedMap(instance, identifier, service, wantsRefresh(c));
+
+    if (!georeferencedMap) {
+      return c.json({ error: "No GCPs found for this map" }, 404);
+    }
+
+    return jsonWithIiifHeaders(c, generateAnnotation(georeferencedMap));
+  } catch (error) {
+    return handleError(c, error, "generating georeference annotation");
+  }
+});
+
+// GCPs and the mask outline in geographic coordinates
+app.get("/:instance/maps/:identifier/georef/map.geojson", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const georeferencedMap = await getExportMap(c, instance, identifier);
+    if (!georeferencedMap) {
+      return c.json({ error: "No GCPs found for this map" }, 404);
+    }
+    return c.body(JSON.stringify(toGeoJson(georeferencedMap)), 200, { "Content-Type": "application/geo+json" });
+  } catch (error) {
+    return handleError(c, error, "exporting GeoJSON");
+  }
+});
+
+// GCPs as a QGIS georeferencer .points file
+app.get("/:instance/maps/:identifier/georef/gcps.points", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const georeferencedMap = await getExportMap(c, instance, identifier);
+    if (!georeferencedMap) {
+      return c.json({ error: "No GCPs found for this map" }, 404);
+    }
+    return attachment(c, toQgisPoints(georeferencedMap), "text/plain; charset=utf-8", `map-${identifier}.points`);
+  } catch (error) {
+    return handleError(c, error, "exporting GCP points");
+  }
+});
+
+// World file for the IIIF full image at its "max" size (first order warps only)
+app.get("/:instance/maps/:identifier/georef/map.wld", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const georeferencedMap = await getExportMap(c, instance, identifier);
+    if (!georeferencedMap) {
+      return c.json({ error: "No GCPs found for this map" }, 404);
+    }
+    const { geoTransform } = affineGeoTransform(c, georeferencedMap);
+    return attachment(c, toWorldFile(geoTransform), "text/plain; charset=utf-8", `map-${identifier}.wld`);
+  } catch (error) {
+    return handleError(c, error, "exporting world file");
+  }
+});
+
+// GDAL VRT georeferencing the IIIF full image at its "max" size (first order warps only)
+app.get("/:instance/maps/:identifier/georef/map.vrt", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const georeferencedMap = await getExportMap(c, instance, identifier);
+    if (!georeferencedMap) {
+      return c.json({ error: "No GCPs found for this map" }, 404);
+    }
+    // An explicit size keeps the VRT's raster size right even if the limits change later
+    const { geoTransform, size } = affineGeoTransform(c, georeferencedMap);
+    const imageUrl = `${georeferencedMap.resource.id}/full/${size.width},${size.height}/0/default.jpg`;
+    const vrt = toVrt(geoTransform, imageUrl, size);
+    return attachment(c, vrt, "application/xml", `map-${identifier}.vrt`);
+  } catch (error) {
+    return handleError(c, error, "exporting VRT");
+  }
+});
+
+// Residuals and RMS error of the MapWarper and Allmaps GCPs (?transformation=polynomial1,... to limit types)
+app.get("/:instance/maps/:identifier/georef/quality.json", async (c) => {
+  const { instance, identifier } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+
+  const requested = c.req.query("transformation")?.split(",") ?? [...QUALITY_TRANSFORMATIONS];
+  const unknown = requested.filter(t => !QUALITY_TRANSFORMATIONS.includes(t as QualityTransformation));
+  if (unknown.length > 0) {
+    return c.json({ error: `Unsupported transformation: ${unknown.join(", ")}` }, 400);
+  }
+  const types = requested as QualityTransformation[];
+
+  try {
+    // Allmaps annotations reference the IIIF 3.0 service the sync UI opens in the editor
+    const [gcps, allmapsMaps] = await Promise.all([
+      getMapGcps(instance, identifier),
+      fetchAllmapsGeoreferencedMaps(imageService(baseUrl, instance, identifier, 3).id).catch(error => {
+        console.error("Error fetching Allmaps annotation:", error);
+        return null;
+      }),
+    ]);
+    const allmapsGcps = allmapsMaps?.[0]?.gcps ?? [];
+
+    return c.json({
+      mapwarper: gcps.length > 0
+        ? computeQuality(gcps.map(gcp => ({ resource: [gcp.x, gcp.y], geo: [gcp.lon, gcp.lat] })), types)
+        : null,
+      allmaps: allmapsGcps.length > 0
+        ? computeQuality(allmapsGcps.map(gcp => ({ resource: gcp.resource, geo: gcp.geo })), types)
+        : null,
+    });
+  } catch (error) {
+    return handleError(c, error, "computing georeference quality");
+  }
+});
+
+// Write Allmaps GCPs back to MapWarper (?dryRun=1 only returns the diff)
+app.post("/:instance/maps/:identifier/georef/sync", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const body = await c.req.json().catch(() => {
+      throw new SyncRequestError("Request body must be JSON");
+    });
+    const result = await syncGcps(instance, identifier, parseSyncGcps(body?.gcps), {
+      apiKey: bearerToken(c),
+      dryRun: queryFlag(c, "dryRun"),
+      rewarp: body?.rewarp === true,
+      transformation: parseSyncTransformation(body?.transformation),
+    });
+    return c.json(result);
+  } catch (error) {
+    return handleError(c, error, "syncing GCPs");
+  }
+});
+
+// MapWarper GML mask file for an Allmaps resource mask
+app.post("/:instance/maps/:identifier/georef/mask.gml", async (c) => {
+  const { instance, identifier } = c.req.param();
+
+  try {
+    const body = await c.req.json().catch(() => {
+      throw new SyncRequestError("Request body must be JSON");
+    });
+    const gml = await buildGmlMask(instance, identifier, parseResourceMask(body?.resourceMask));
+    return attachment(c, gml, "application/gml+xml", `mask-${identifier}.gml`);
+  } catch (error) {
+    return handleError(c, error, "building mask");
+  }
+});
+
 // IIIF Presentation API 3.0 manifest for mosaics/layers
-app.get("/mapwarper/mosaic/:identifier/manifest.json", async (c) => {
-  const identifier = c.req.param("identifier");
+app.get("/:instance/mosaic/:identifier/manifest.json", async (c) => {
+  const { instance, identifier } = c.req.param();
   const baseUrl = new URL(c.req.url).origin;
 
   try {
-    const layerInfo = await getLayerInfo(identifier);
-    
-    // Fetch info for all maps in the mosaic
-    const mapInfoPromises = layerInfo.mapIds.map(mapId => getMapInfoForIIIF(mapId));
-    const mapInfos = await Promise.all(mapInfoPromises);
+    const refresh = wantsRefresh(c);
+    const query = mosaicQuery(c);
+
+    const georef = queryFlag(c, "georef");
+
+    // Maps come from the layer's map listing, leaving out maps without an image and excluded map types
+    const [layerInfo, { maps: mapInfos, skipped, totalPages }] = await Promise.all([
+      getLayerInfo(instance, identifier, refresh),
+      getMosaicMaps(instance, identifier, query, refresh, georef),
+    ]);
+
+    // Optionally add MapWarper georeferencing, keyed by image service id
+    const georeferencedMapsByService = new Map<string, GeoreferencedMap>();
+    if (georef) {
+      const georeferenced = await getGeoreferencedMaps(
+        instance,
+        mapInfos.map(mapInfo => ({
+          identifier: mapInfo.id,
+          service: imageService(baseUrl, instance, mapInfo.id, 3),
+          mapInfo,
+        })),
+        refresh
+      );
+      georeferenced.georeferencedMaps.forEach(m => georeferencedMapsByService.set(m.resource.id, m));
+      // Maps without GCPs are expected in a mosaic; only report the ones that failed
+      skipped.push(...georeferenced.skipped.filter(({ reason }) => reason !== NO_GCPS));
+    }
 
     // Create a canvas for each map
     const items = mapInfos.map((mapInfo, index) => {
-      const mapIiifBase = `${baseUrl}/mapwarper/maps/${mapInfo.id}/iiif`;
+      const mapIiifBase = `${baseUrl}/${instance}/maps/${mapInfo.id}/iiif`;
       return {
-        id: `${baseUrl}/mapwarper/mosaic/${identifier}/canvas/${index + 1}`,
+        id: `${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}`,
         type: "Canvas",
         label: {
           en: [mapInfo.title || `Map ${mapInfo.id}`],
         },
         width: mapInfo.width,
         height: mapInfo.height,
+        ...mapProperties(`${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}`, mapInfo),
         items: [
           {
-            id: `${baseUrl}/mapwarper/mosaic/${identifier}/canvas/${index + 1}/page`,
+            id: `${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}/page`,
             type: "AnnotationPage",
             items: [
               {
-                id: `${baseUrl}/mapwarper/mosaic/${identifier}/canvas/${index + 1}/page/annotation`,
+                id: `${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}/page/annotation`,
                 type: "Annotation",
                 motivation: "painting",
-                target: `${baseUrl}/mapwarper/mosaic/${identifier}/canvas/${index + 1}`,
+                target: `${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}`,
                 body: {
                   id: `${mapIiifBase}/full/max/0/default.png`,
                   type: "Image",
@@ -279,21 +747,35 @@ app.get("/mapwarper/mosaic/:identifier/manifest.json", async (c) => {
             ],
           },
         ],
+        ...georefAnnotations(
+          `${baseUrl}/${instance}/mosaic/${identifier}/canvas/${index + 1}`,
+          georeferencedMapsByService.get(mapIiifBase)
+        ),
       };
     });
 
     const manifest = {
-      "@context": "http://iiif.io/api/presentation/3/context.json",
-      id: `${baseUrl}/mapwarper/mosaic/${identifier}/manifest.json`,
+      "@context": MANIFEST_CONTEXT,
+      id: `${baseUrl}/${instance}/mosaic/${identifier}/manifest.json${mosaicQueryString(query, georef)}`,
       type: "Manifest",
       label: {
-        en: [layerInfo.name],
+        en: [query.page ? `${layerInfo.name}, page ${query.page} of ${totalPages}` : layerInfo.name],
       },
       ...(layerInfo.description && {
         summary: {
           en: [layerInfo.description],
         },
       }),
+      ...(skipped.length > 0 && {
+        metadata: [
+          {
+            label: { en: ["Skipped maps"] },
+            value: { en: [describeSkipped(skipped)] },
+          },
+        ],
+      }),
+      ...layerProperties(`${baseUrl}/${instance}/mosaic/${identifier}`, layerInfo),
+      provider: provider(getClient(instance).baseUrl),
       items,
     };
 
@@ -303,48 +785,111 @@ app.get("/mapwarper/mosaic/:identifier/manifest.json", async (c) => {
   }
 });
 
-// IIIF image request endpoint
-app.get("/mapwarper/maps/:identifier/iiif/:region/:size/:rotation/:qualityFormat", async (c) => {
-  const { identifier, region, size, rotation, qualityFormat } = c.req.param();
+// Georeference AnnotationPage for all georeferenced maps in a mosaic/layer
+app.get("/:instance/mosaic/:identifier/annotation.json", async (c) => {
+  const { instance, identifier } = c.req.param();
+  const baseUrl = new URL(c.req.url).origin;
+
+  try {
+    const refresh = wantsRefresh(c);
+    const query = mosaicQuery(c);
+    const [layerInfo, mosaic] = await Promise.all([
+      getLayerInfo(instance, identifier, refresh),
+      getMosaicMaps(instance, identifier, query, refresh, true),
+    ]);
+
+    const version = requestedIiifVersion(c);
+    const { georeferencedMaps, skipped } = await getGeoreferencedMaps(
+      instance,
+      mosaic.maps.map(mapInfo => ({
+        identifier: mapInfo.id,
+        service: imageService(baseUrl, instance, mapInfo.id, version),
+        mapInfo,
+      })),
+      refresh
+    );
+    skipped.unshift(...mosaic.skipped);
+
+    if (georeferencedMaps.length === 0) {
+      return c.json({ error: "No GCPs found for any map in this mosaic" }, 404);
+    }
+
+    const annotationPage = {
+      ...generateAnnotation(georeferencedMaps),
+      id: `${baseUrl}/${instance}/mosaic/${identifier}/annotation.json${mosaicQueryString(query)}`,
+      label: {
+        en: [query.page ? `${layerInfo.name}, page ${query.page} of ${mosaic.totalPages}` : layerInfo.name],
+      },
+      summary: {
+        en: [
+          `${georeferencedMaps.length} of ${georeferencedMaps.length + skipped.length} maps georeferenced` +
+          (skipped.length > 0 ? `; ${describeSkipped(skipped)}` : ""),
+        ],
+      },
+    };
+
+    return jsonWithIiifHeaders(c, annotationPage);
+  } catch (error) {
+    return handleError(c, error, "generating mosaic georeference annotation");
+  }
+});
+
+/**
+ * Serve an IIIF image request for either Image API version
+ */
+async function handleImageRequest(c: Context<{ Bindings: Bindings }>, version: IIIFVersion) {
+  const { instance, identifier, region, size, rotation, qualityFormat } = c.req.param();
   const [quality, format] = qualityFormat.split(".");
 
   if (!format) {
     return c.json({ error: "Invalid format" }, 400);
   }
 
+  const cacheTtl = getTileCacheTtl(c.env.TILE_CACHE_TTL);
+  const limits = getImageLimits(c.env);
+
   try {
     const result = await processImageRequest({
+      version,
+      instance,
       identifier,
       region,
       size,
       rotation,
       quality,
       format,
-    });
+    }, cacheTtl, limits, promise => c.executionCtx.waitUntil(promise));
 
-    // Return response with no caching for now (enable when stable)
     return new Response(result.buffer, {
       headers: {
         "Content-Type": result.contentType,
         "Access-Control-Allow-Origin": "*",
-        "Cache-Control": "no-cache",
+        "Cache-Control": tileCacheControl(cacheTtl),
+        "X-Cache-Status": result.cacheStatus,
       },
     });
   } catch (error) {
     return handleError(c, error, "processing image request");
   }
-});
+}
+
+// IIIF image request endpoints
+app.get("/:instance/maps/:identifier/iiif/:region/:size/:rotation/:qualityFormat", (c) => handleImageRequest(c, 3));
+app.get("/:instance/maps/:identifier/iiif2/:region/:size/:rotation/:qualityFormat", (c) => handleImageRequest(c, 2));
 
 /**
- * Generate size variants for info.json
+ * Generate size variants for info.json, leaving out those beyond the size limits
  */
-function generateSizes(width: number, height: number): Array<{ width: number; height: number }> {
+function generateSizes(width: number, height: number, limits: SizeLimits = {}): Array<{ width: number; height: number }> {
   const sizes: Array<{ width: number; height: number }> = [];
   let w = width;
   let h = height;
   
   while (w > 100 && h > 100) {
-    sizes.push({ width: Math.round(w), height: Math.round(h) });
+    const withinLimits = (!limits.maxWidth || Math.round(w) <= limits.maxWidth) &&
+      (!limits.maxHeight || Math.round(h) <= limits.maxHeight) &&
+      (!limits.maxArea || Math.round(w) * Math.round(h) <= limits.maxArea);
+    if (withinLimits) sizes.push({ width: Math.round(w), height: Math.round(h) });
     w = w / 2;
     h = h / 2;
   }
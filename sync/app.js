@@ -4,7 +4,8 @@
  */
 
 import { generateAnnotation } from 'https://esm.sh/@allmaps/annotation@1.0.0-beta.36';
-import { CONFIG, getMapIiifUrl, copyToClipboard, getMwWarpUrl, getAllmapsEditorUrl, getAllmapsViewerUrl, getAllmapsAnnotationUrl, fetchMwGeoreferencingData, buildGeoreferencedMap, formatDate } from './common.js';
+import { CONFIG, instanceReady, getMapIiifUrl, getMapGeorefUrl, getMosaicUrl, withInstance, copyToClipboard, getMwWarpUrl, getAllmapsEditorUrl, getAllmapsViewerUrl, getAllmapsAnnotationUrl, formatDate, fetchSyncData, getSyncStatus, SYNC_STATUSES, runRateLimited, csvCell, downloadFile } from './common.js';
+import { imageUnavailability, MAP_TYPES } from './map-status.js';
 
 // URL params sync
 function getUrlParams() {
@@ -35,7 +36,7 @@ function updateUrlParams() {
   const newUrl = params.toString() 
     ? `${window.location.pathname}?${params.toString()}`
     : window.location.pathname;
-  window.history.replaceState({}, '', newUrl);
+  window.history.replaceState({}, '', withInstance(newUrl));
 }
 
 function updateMosaicUrlParams(layerId) {
@@ -46,21 +47,21 @@ function updateMosaicUrlParams(layerId) {
   if (state.mosaicMapsSearchQuery) params.set('q', state.mosaicMapsSearchQuery);
   
   const newUrl = `${window.location.pathname}?${params.toString()}`;
-  window.history.replaceState({}, '', newUrl);
+  window.history.replaceState({}, '', withInstance(newUrl));
 }
 
 // Parse search query - extract map ID from URL or direct ID
 function parseSearchQuery(query) {
   if (!query) return { type: 'text', value: '' };
   
-  // Match MapWarper map URL: https://mapwarper.net/maps/102412 or mapwarper.net/maps/102412
-  const mapUrlMatch = query.match(/(?:https?:\/\/)?(?:www\.)?mapwarper\.net\/maps\/(\d+)/i);
+  // Match MapWarper map URL on any instance: https://mapwarper.net/maps/102412 or mapwarper.net/maps/102412
+  const mapUrlMatch = query.match(/(?:https?:\/\/)?[\w.-]+\.[a-z]{2,}(?::\d+)?\/maps\/(\d+)/i);
   if (mapUrlMatch) {
     return { type: 'mapId', value: mapUrlMatch[1] };
   }
   
   // Match MapWarper layer/mosaic URL
-  const layerUrlMatch = query.match(/(?:https?:\/\/)?(?:www\.)?mapwarper\.net\/layers\/(\d+)/i);
+  const layerUrlMatch = query.match(/(?:https?:\/\/)?[\w.-]+\.[a-z]{2,}(?::\d+)?\/layers\/(\d+)/i);
   if (layerUrlMatch) {
     return { type: 'layerId', value: layerUrlMatch[1] };
   }
@@ -89,6 +90,7 @@ const state = {
   mapsData: null,
   mosaicsData: null,
   statusCache: new Map(),
+  syncDashboard: { layerId: null, mapIds: [], sortKey: 'status', sortAsc: true, running: false },
 };
 
 // DOM Elements
@@ -105,10 +107,15 @@ const elements = {
   searchInput: document.getElementById('search-input'),
   searchBtn: document.getElementById('search-btn'),
   clearSearchBtn: document.getElementById('clear-search-btn'),
+  instanceSelect: document.getElementById('instance-select'),
+  instanceSelectContainer: document.getElementById('instance-select-container'),
 };
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await instanceReady;
+  setupInstanceSelector();
+  
   // Load state from URL params
   const params = getUrlParams();
   
@@ -160,6 +167,21 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 });
 
+// Show the MapWarper instance picker when the bridge serves more than one warper
+function setupInstanceSelector() {
+  if (CONFIG.instances.length < 2) return;
+  
+  elements.instanceSelect.innerHTML = CONFIG.instances
+    .map(i => `<option value="${i.name}" ${i.name === CONFIG.instance ? 'selected' : ''}>${i.name} (${new URL(i.baseUrl).host})</option>`)
+    .join('');
+  elements.instanceSelectContainer.classList.remove('hidden');
+  
+  elements.instanceSelect.addEventListener('change', () => {
+    localStorage.setItem('mapwarperInstance', elements.instanceSelect.value);
+    window.location.href = `${window.location.pathname}?instance=${encodeURIComponent(elements.instanceSelect.value)}`;
+  });
+}
+
 function setupEventListeners() {
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
@@ -381,7 +403,7 @@ async function loadMosaicDetail(layerId) {
     
     // Render mosaic detail
     const thumbUrl = `${CONFIG.mapwarperBaseUrl}/layers/thumb/${layer.id}`;
-    const shareUrl = `${window.location.origin}${window.location.pathname}?mosaic=${layer.id}`;
+    const shareUrl = withInstance(`${window.location.origin}${window.location.pathname}?mosaic=${layer.id}`);
     
     detailContainer.innerHTML = `
       <div style="margin-bottom:1rem;">
@@ -413,6 +435,17 @@ async function loadMosaicDetail(layerId) {
           </div>
         </div>
       </div>
+      <div class="sync-dashboard">
+        <div class="sync-dashboard-controls">
+          <button id="sync-check-btn" class="btn btn-primary btn-small" onclick="runSyncDashboard()">📊 Check sync status of all ${allMapIds.length} maps</button>
+          <button id="sync-stop-btn" class="btn btn-secondary btn-small hidden" onclick="stopSyncDashboard()">■ Stop</button>
+          <button id="sync-export-btn" class="btn btn-success btn-small hidden" onclick="exportSyncDashboard()">⬇️ Export CSV</button>
+          <span id="sync-progress-text" class="sync-progress-text"></span>
+        </div>
+        <progress id="sync-progress" class="hidden" value="0" max="${allMapIds.length}"></progress>
+        <div id="sync-summary" class="sync-summary"></div>
+        <div id="sync-table"></div>
+      </div>
       <hr style="margin:1.5rem 0;border:none;border-top:1px solid #ddd;">
       <h3 style="margin-bottom:1rem;">Maps in this Mosaic</h3>
       <div class="filters" style="margin-bottom:1rem;">
@@ -431,6 +464,10 @@ async function loadMosaicDetail(layerId) {
       <div id="mosaic-maps-pagination" class="pagination"></div>
     `;
     
+    state.syncDashboard.layerId = layer.id;
+    state.syncDashboard.mapIds = allMapIds;
+    renderSyncDashboard();
+    
     // Add event listener for filter toggle
     document.getElementById('mosaic-rectified-only').addEventListener('change', (e) => {
       state.mosaicMapsRectifiedOnly = e.target.checked;
@@ -524,6 +561,173 @@ async function loadMosaicMaps(layerId, totalMapsCount) {
   loadingBar.classList.add('hidden');
 }
 
+// Sync dashboard: GCP/mask sync status of every map in a mosaic
+
+function syncCacheKey(mapId) {
+  return `${CONFIG.instance}:${mapId}`;
+}
+
+// Summarize sync data into a dashboard row
+function toSyncRow(mapId, data, error) {
+  if (error) return { mapId, status: 'error', error: error.message };
+  return {
+    mapId,
+    status: getSyncStatus(data),
+    mwGcps: data.mwGcps.length,
+    allmapsGcps: data.allmapsGcps.length,
+    added: data.gcpDiff.added.length,
+    removed: data.gcpDiff.removed.length,
+    moved: data.gcpDiff.moved.length,
+    masksMatch: data.masksMatch,
+    mwUpdatedAt: data.mwUpdatedAt,
+    allmapsUpdatedAt: data.allmapsUpdatedAt,
+    ...(data.maskError && { error: `Allmaps clip: ${data.maskError}` }),
+  };
+}
+
+function syncDashboardRows() {
+  return state.syncDashboard.mapIds
+    .map(id => state.statusCache.get(syncCacheKey(id)))
+    .filter(Boolean);
+}
+
+async function runSyncDashboard() {
+  const dashboard = state.syncDashboard;
+  if (dashboard.running) return;
+  
+  // A second run rechecks everything
+  const allChecked = dashboard.mapIds.every(id => state.statusCache.has(syncCacheKey(id)));
+  if (allChecked) dashboard.mapIds.forEach(id => state.statusCache.delete(syncCacheKey(id)));
+  const pending = dashboard.mapIds.filter(id => !state.statusCache.has(syncCacheKey(id)));
+  
+  dashboard.running = true;
+  renderSyncDashboard();
+  
+  await runRateLimited(pending, fetchSyncData, {
+    concurrency: 4,
+    interval: 250,
+    shouldContinue: () => dashboard.running,
+    onResult: (mapId, data, error) => {
+      state.statusCache.set(syncCacheKey(mapId), toSyncRow(mapId, data, error));
+      renderSyncDashboard();
+    },
+  });
+  
+  dashboard.running = false;
+  renderSyncDashboard();
+}
+
+function stopSyncDashboard() {
+  state.syncDashboard.running = false;
+}
+
+function sortSyncDashboard(key) {
+  const dashboard = state.syncDashboard;
+  dashboard.sortAsc = dashboard.sortKey === key ? !dashboard.sortAsc : true;
+  dashboard.sortKey = key;
+  renderSyncDashboard();
+}
+
+const SYNC_STATUS_ORDER = Object.keys(SYNC_STATUSES);
+
+function compareSyncRows(a, b, key) {
+  if (key === 'status') return SYNC_STATUS_ORDER.indexOf(a.status) - SYNC_STATUS_ORDER.indexOf(b.status);
+  if (key === 'mapId') return Number(a.mapId) - Number(b.mapId);
+  const av = a[key] ?? '';
+  const bv = b[key] ?? '';
+  return typeof av === 'number' && typeof bv === 'number' ? av - bv : String(av).localeCompare(String(bv));
+}
+
+const SYNC_COLUMNS = [
+  ['mapId', 'Map'],
+  ['status', 'Status'],
+  ['mwGcps', 'MW GCPs'],
+  ['allmapsGcps', 'Allmaps GCPs'],
+  ['moved', 'GCP changes'],
+  ['masksMatch', 'Mask'],
+  ['mwUpdatedAt', 'MW updated'],
+  ['allmapsUpdatedAt', 'Allmaps updated'],
+];
+
+function renderSyncRow(row) {
+  const editorMode = row.status === 'mw-newer' || row.status === 'missing-allmaps' ? 'allmaps' : 'mapwarper';
+  const changes = row.status === 'error' ? row.error
+    : [row.added && `+${row.added}`, row.removed && `−${row.removed}`, row.moved && `~${row.moved}`].filter(Boolean).join(' ');
+  return `
+    <tr>
+      <td><a href="${withInstance(`?q=${row.mapId}`)}">${row.mapId}</a></td>
+      <td><span class="sync-badge sync-${row.status}">${SYNC_STATUSES[row.status]}</span></td>
+      <td>${row.mwGcps ?? ''}</td>
+      <td>${row.allmapsGcps ?? ''}</td>
+      <td>${changes}</td>
+      <td>${row.masksMatch == null ? '' : row.masksMatch ? '✓' : '✗'}</td>
+      <td>${formatDate(row.mwUpdatedAt)}</td>
+      <td>${formatDate(row.allmapsUpdatedAt)}</td>
+      <td>${row.status !== 'in-sync' && row.status !== 'none' && row.status !== 'error'
+        ? `<a href="${withInstance(`editor.html?map=${row.mapId}&mode=${editorMode}`)}" target="_blank">Editor ↗</a>` : ''}</td>
+    </tr>
+  `;
+}
+
+function renderSyncDashboard() {
+  const dashboard = state.syncDashboard;
+  const tableEl = document.getElementById('sync-table');
+  if (!tableEl) return;
+  
+  const rows = syncDashboardRows();
+  const total = dashboard.mapIds.length;
+  const progressEl = document.getElementById('sync-progress');
+  progressEl.value = rows.length;
+  progressEl.classList.toggle('hidden', !dashboard.running);
+  document.getElementById('sync-stop-btn').classList.toggle('hidden', !dashboard.running);
+  document.getElementById('sync-export-btn').classList.toggle('hidden', dashboard.running || rows.length === 0);
+  document.getElementById('sync-check-btn').disabled = dashboard.running;
+  document.getElementById('sync-check-btn').textContent = rows.length === total && total > 0
+    ? '🔄 Recheck all maps'
+    : `📊 Check sync status of ${rows.length > 0 ? 'remaining' : 'all'} ${total - rows.length} maps`;
+  document.getElementById('sync-progress-text').textContent = rows.length > 0 || dashboard.running
+    ? `Checked ${rows.length} of ${total}${dashboard.running ? '...' : ''}`
+    : '';
+  
+  // Counts per status
+  const counts = {};
+  rows.forEach(row => counts[row.status] = (counts[row.status] || 0) + 1);
+  document.getElementById('sync-summary').innerHTML = Object.entries(SYNC_STATUSES)
+    .filter(([status]) => counts[status])
+    .map(([status, label]) => `<span class="sync-badge sync-${status}">${label}: ${counts[status]}</span>`)
+    .join(' ');
+  
+  if (rows.length === 0) {
+    tableEl.innerHTML = '';
+    return;
+  }
+  
+  const direction = dashboard.sortAsc ? 1 : -1;
+  rows.sort((a, b) => direction * compareSyncRows(a, b, dashboard.sortKey) || Number(a.mapId) - Number(b.mapId));
+  const arrow = dashboard.sortAsc ? ' ▲' : ' ▼';
+  
+  tableEl.innerHTML = `
+    <table class="sync-table">
+      <thead>
+        <tr>
+          ${SYNC_COLUMNS.map(([key, label]) => `<th onclick="sortSyncDashboard('${key}')">${label}${dashboard.sortKey === key ? arrow : ''}</th>`).join('')}
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${rows.map(renderSyncRow).join('')}</tbody>
+    </table>
+  `;
+}
+
+function exportSyncDashboard() {
+  const header = ['map_id', 'status', 'mw_gcps', 'allmaps_gcps', 'gcps_added', 'gcps_removed', 'gcps_moved', 'masks_match', 'mw_updated_at', 'allmaps_updated_at', 'error'];
+  const lines = syncDashboardRows().map(row => [
+    row.mapId, row.status, row.mwGcps, row.allmapsGcps, row.added, row.removed, row.moved,
+    row.masksMatch, row.mwUpdatedAt, row.allmapsUpdatedAt, row.error,
+  ].map(csvCell).join(','));
+  downloadFile([header.join(','), ...lines].join('\n'), `mosaic-${state.syncDashboard.layerId}-sync-status.csv`);
+}
+
 function renderMosaicMapsPagination(container, meta, layerId) {
   const totalPages = meta.total_pages || 1;
   const currentPage = state.mosaicMapsPage;
@@ -551,14 +755,21 @@ function renderMapCard(map) {
     thumbUrl = `${CONFIG.mapwarperBaseUrl}/maps/thumb/${map.id}`;
   }
   const iiifUrl = getMapIiifUrl(map.id);
-  const editorAllmapsUrl = `editor.html?map=${map.id}&mode=allmaps`;
-  const editorMapwarperUrl = `editor.html?map=${map.id}&mode=mapwarper`;
-  const shareUrl = `${window.location.origin}${window.location.pathname}?q=${map.id}`;
+  const editorAllmapsUrl = withInstance(`editor.html?map=${map.id}&mode=allmaps`);
+  const editorMapwarperUrl = withInstance(`editor.html?map=${map.id}&mode=mapwarper`);
+  const compareUrl = withInstance(`compare.html?map=${map.id}`);
+  const shareUrl = withInstance(`${window.location.origin}${window.location.pathname}?q=${map.id}`);
   
   // Links
   const mwWarpUrl = getMwWarpUrl(map.id);
   const allmapsEditorUrl = getAllmapsEditorUrl(iiifUrl);
   const allmapsViewerUrl = getAllmapsViewerUrl(iiifUrl);
+  // MapWarper GCPs are converted server-side, so the viewer loads the map's annotation from the bridge
+  const mwViewerUrl = `https://viewer.allmaps.org/?url=${encodeURIComponent(`${getMapGeorefUrl(map.id)}/annotation.json`)}`;
+  
+  // Maps without an image have nothing to serve over IIIF, so only the MapWarper link is useful
+  const unavailable = imageUnavailability(attrs);
+  const mapType = attrs.map_type && attrs.map_type !== 'is_map' ? MAP_TYPES[attrs.map_type] : null;
   
   return `
     <div class="card" data-id="${map.id}" data-type="map">
@@ -571,7 +782,12 @@ function renderMapCard(map) {
               <a href="${shareUrl}" onclick="event.preventDefault();copyToClipboard('${shareUrl}')" title="Copy share link" style="margin-left:0.25rem;text-decoration:none;font-size:0.8rem;">🔗</a>
             </div>
             <div class="card-meta">ID: ${map.id}</div>
-            <div class="card-meta">Status: ${attrs.status}</div>
+            <div class="card-meta">Status: ${attrs.status}${mapType ? ` · ${mapType}` : ''}</div>
+            ${unavailable ? `
+            <div class="card-meta card-unavailable">Can't be bridged: ${unavailable.reason}</div>
+            <div class="card-links">
+              <a href="${mwWarpUrl}" target="_blank">Edit in MW</a>
+            </div>` : `
             <div class="card-actions" style="margin-top:0.25rem;">
               <a href="${editorAllmapsUrl}" target="_blank" class="btn btn-small" style="background:#9b59b6;color:white;font-size:0.7rem;padding:0.2rem 0.4rem;" title="Sync georeferencing to Allmaps">Sync to Allmaps</a>
               <a href="${editorMapwarperUrl}" target="_blank" class="btn btn-small" style="background:#e67e22;color:white;font-size:0.7rem;padding:0.2rem 0.4rem;" title="Sync georeferencing to MapWarper">Sync to MW</a>
@@ -580,10 +796,9 @@ function renderMapCard(map) {
               <a href="${mwWarpUrl}" target="_blank">Edit in MW</a>
               <a href="${allmapsEditorUrl}" target="_blank">Edit in Allmaps</a>
               <a href="${allmapsViewerUrl}" target="_blank">View in Allmaps</a>
-              <button class="btn-link" onclick="generateMwViewerUrl('${map.id}', '${iiifUrl}')">View MW in Allmaps</button>
-              <span id="mw-viewer-url-${map.id}" class="generated-url"></span>
-              <a href="compare.html?map=${map.id}" target="_blank">Compare</a>
-            </div>
+              <a href="${mwViewerUrl}" target="_blank">View MW in Allmaps</a>
+              <a href="${compareUrl}" target="_blank">Compare</a>
+            </div>`}
           </div>
         </div>
       </div>
@@ -633,7 +848,7 @@ function renderMosaics(data) {
     
     // Use layer thumb endpoint
     const thumbUrl = `${CONFIG.mapwarperBaseUrl}/layers/thumb/${layer.id}`;
-    const shareUrl = `${window.location.origin}${window.location.pathname}?tab=mosaics&q=${layer.id}`;
+    const shareUrl = withInstance(`${window.location.origin}${window.location.pathname}?tab=mosaics&q=${layer.id}`);
     
     return `
       <div class="card" data-id="${layer.id}" data-type="mosaic">
@@ -705,68 +920,44 @@ function hideLoadingBar() {
   elements.loadingBar.classList.add('hidden');
 }
 
-// Generate MW viewer URL by fetching GCPs and mask, then creating annotation
-async function generateMwViewerUrl(mapId, iiifUrl) {
-  const urlSpan = document.getElementById(`mw-viewer-url-${mapId}`);
-  urlSpan.textContent = 'Loading...';
-  
-  try {
-    const data = await fetchMwGeoreferencingData(mapId);
-    
-    if (data.gcps.length === 0) {
-      urlSpan.textContent = 'No GCPs';
-      return;
-    }
-    
-    const georeferencedMap = buildGeoreferencedMap(data.iiifUrl, data.iiifInfo, data.gcps, data.maskCoords);
-    const annotation = generateAnnotation(georeferencedMap);
-    const jsonStr = JSON.stringify(annotation, null, 0);
-    const { html } = generateViewerLinkHtml(jsonStr);
-    urlSpan.innerHTML = html;
-  } catch (err) {
-    urlSpan.textContent = 'Error';
-    console.error('Failed to generate MW viewer URL:', err);
-  }
-}
-
 // Generate viewer link HTML from annotation JSON
 function generateViewerLinkHtml(jsonStr, label = 'Open ↗') {
   const viewerUrl = `https://viewer.allmaps.org/#data=${encodeURIComponent(jsonStr)}`;
   return { html: `<a href="${viewerUrl}" target="_blank">${label}</a>`, viewerUrl, jsonStr };
 }
 
-// Generate mosaic viewer URL by fetching data for all maps
-// source: 'mw' for MapWarper GCPs, 'allmaps' for Allmaps annotations
+// Generate mosaic viewer URL
+// source: 'mw' for MapWarper GCPs (served by the worker), 'allmaps' for Allmaps annotations
 async function generateMosaicViewerUrl(layerId, mapIdsStr, source = 'mw') {
   const spanId = source === 'allmaps' ? `allmaps-mosaic-viewer-url-${layerId}` : `mosaic-viewer-url-${layerId}`;
   const urlSpan = document.getElementById(spanId);
   urlSpan.textContent = 'Loading...';
   
+  // MapWarper GCPs are converted server-side, so link to the stable mosaic annotation URL
+  if (source === 'mw') {
+    const annotationUrl = `${getMosaicUrl(layerId)}/annotation.json`;
+    const viewerUrl = `https://viewer.allmaps.org/?url=${encodeURIComponent(annotationUrl)}`;
+    urlSpan.innerHTML = `<a href="${viewerUrl}" target="_blank">Open ↗</a>`;
+    return;
+  }
+  
   const mapIds = mapIdsStr.split(',').filter(id => id);
   const chunkSize = 20;
   
   try {
-    // Helper to fetch data for a single map
-    const fetchMapData = source === 'allmaps' 
-      ? async (mapId) => {
-          const iiifUrl = getMapIiifUrl(mapId);
-          const annotationUrl = getAllmapsAnnotationUrl(iiifUrl);
-          try {
-            const res = await fetch(annotationUrl);
-            if (!res.ok) return null;
-            const annotation = await res.json();
-            const { parseAnnotation } = await import('https://esm.sh/@allmaps/annotation@1.0.0-beta.36');
-            const maps = parseAnnotation(annotation);
-            return Array.isArray(maps) ? maps : [maps];
-          } catch { return null; }
-        }
-      : async (mapId) => {
-          try {
-            const data = await fetchMwGeoreferencingData(mapId);
-            if (data.gcps.length === 0) return null;
-            return [buildGeoreferencedMap(data.iiifUrl, data.iiifInfo, data.gcps, data.maskCoords)];
-          } catch { return null; }
-        };
+    // Helper to fetch Allmaps annotations for a single map
+    const fetchMapData = async (mapId) => {
+      const iiifUrl = getMapIiifUrl(mapId);
+      const annotationUrl = getAllmapsAnnotationUrl(iiifUrl);
+      try {
+        const res = await fetch(annotationUrl);
+        if (!res.ok) return null;
+        const annotation = await res.json();
+        const { parseAnnotation } = await import('https://esm.sh/@allmaps/annotation@1.0.0-beta.36');
+        const maps = parseAnnotation(annotation);
+        return Array.isArray(maps) ? maps : [maps];
+      } catch { return null; }
+    };
     
     // Process in chunks
     const georeferencedMaps = [];
@@ -780,7 +971,7 @@ async function generateMosaicViewerUrl(layerId, mapIdsStr, source = 'mw') {
     }
     
     if (georeferencedMaps.length === 0) {
-      urlSpan.textContent = source === 'allmaps' ? 'No annotations' : 'No GCPs';
+      urlSpan.textContent = 'No annotations';
       return;
     }
     
@@ -794,6 +985,17 @@ async function generateMosaicViewerUrl(layerId, mapIdsStr, source = 'mw') {
   }
 }
 
+// Georeferencing downloads served by the bridge (world file and VRT only work for 1st order warps)
+function renderExportLinks(mapId) {
+  const georefUrl = getMapGeorefUrl(mapId);
+  return [
+    ['map.geojson', 'GeoJSON'],
+    ['gcps.points', 'QGIS points'],
+    ['map.wld', 'World file'],
+    ['map.vrt', 'GDAL VRT'],
+  ].map(([file, label]) => `<a href="${georefUrl}/${file}" target="_blank">${label}</a>`).join(' · ');
+}
+
 // Toggle metadata and load if first time
 async function toggleMetadata(id, type = 'map') {
   const prefix = type === 'mosaic' ? 'mosaic-metadata' : 'metadata';
@@ -826,6 +1028,7 @@ async function toggleMetadata(id, type = 'map') {
           ${attrs.description ? `<strong>Description:</strong><span>${attrs.description}</span>` : ''}
           ${type === 'map' && attrs.source_uri ? `<strong>Source:</strong><span><a href="${attrs.source_uri}" target="_blank">${attrs.source_uri}</a></span>` : ''}
           ${attrs.bbox ? `<strong>Bbox:</strong><span>${attrs.bbox}</span>` : ''}
+          ${type === 'map' ? `<strong>Export:</strong><span>${renderExportLinks(id)}</span>` : ''}
         </div>
       `;
       content.dataset.loaded = 'true';
@@ -840,8 +1043,11 @@ async function toggleMetadata(id, type = 'map') {
 
 // Expose functions for onclick handlers
 window.toggleMetadata = toggleMetadata;
-window.generateMwViewerUrl = generateMwViewerUrl;
 window.generateMosaicViewerUrl = generateMosaicViewerUrl;
 window.copyToClipboard = copyToClipboard;
 window.goToPage = goToPage;
 window.goToMosaicMapsPage = goToMosaicMapsPage;
+window.runSyncDashboard = runSyncDashboard;
+window.stopSyncDashboard = stopSyncDashboard;
+window.sortSyncDashboard = sortSyncDashboard;
+window.exportSyncDashboard = exportSyncDashboard;
@@ -2,15 +2,69 @@
  * Shared utilities for MapWarper ↔ Allmaps Sync
  */
 
+import { parseSvgMask, largestOuterRing } from './geometry.js';
+import { diffGcps, isGcpDiffEmpty } from './gcp-diff.js';
+import { toAllmapsTransformation } from './warp-methods.js';
+
+export { diffGcps, isGcpDiffEmpty, metresBetween } from './gcp-diff.js';
+export { toAllmapsTransformation, toWarpMethod } from './warp-methods.js';
+
+export const DEFAULT_INSTANCE = 'mapwarper';
+
 export const CONFIG = {
+  instance: DEFAULT_INSTANCE,
+  instances: [{ name: DEFAULT_INSTANCE, baseUrl: 'https://mapwarper.net' }],
   mapwarperBaseUrl: 'https://mapwarper.net',
   allmapsAnnotationsUrl: 'https://annotations.allmaps.org',
   perPage: 20,
 };
 
+// Select the MapWarper instance from ?instance=, then the last used one, then the default
+async function loadInstanceConfig() {
+  const requested = new URLSearchParams(window.location.search).get('instance')
+    || localStorage.getItem('mapwarperInstance')
+    || DEFAULT_INSTANCE;
+  
+  try {
+    const res = await fetch(`${window.location.origin}/instances.json`);
+    if (res.ok) {
+      const data = await res.json();
+      if (data.instances?.length) CONFIG.instances = data.instances;
+    }
+  } catch (e) {
+    console.error('Error loading instances, using default:', e);
+  }
+  
+  const selected = CONFIG.instances.find(i => i.name === requested)
+    || CONFIG.instances.find(i => i.name === DEFAULT_INSTANCE)
+    || CONFIG.instances[0];
+  CONFIG.instance = selected.name;
+  CONFIG.mapwarperBaseUrl = selected.baseUrl;
+  localStorage.setItem('mapwarperInstance', selected.name);
+}
+
+// Pages await this before using CONFIG.instance or CONFIG.mapwarperBaseUrl
+export const instanceReady = loadInstanceConfig();
+
+// Add the selected instance to a URL so shared links open the same warper
+export function withInstance(url) {
+  if (CONFIG.instance === DEFAULT_INSTANCE) return url;
+  return `${url}${url.includes('?') ? '&' : '?'}instance=${encodeURIComponent(CONFIG.instance)}`;
+}
+
 // Generate IIIF URL for a map
 export function getMapIiifUrl(mapId) {
-  return `${window.location.origin}/mapwarper/maps/${mapId}/iiif`;
+  return `${window.location.origin}/${CONFIG.instance}/maps/${mapId}/iiif`;
+}
+
+// Generate bridge georeferencing URL for a map
+export function getMapGeorefUrl(mapId) {
+  return `${window.location.origin}/${CONFIG.instance}/maps/${mapId}/georef`;
+}
+
+// Generate bridge URL for a mosaic
+export function getMosaicUrl(layerId) {
+  return `${window.location.origin}/${CONFIG.instance}/mosaic/${layerId}`;
 }
 
 // URL builders for external services
@@ -61,64 +115,98 @@ export function parseAllmapsGcps(annotation) {
   return gcps.filter(g => g.x != null && g.y != null && g.lon != null && g.lat != null);
 }
 
-// Parse mask from Allmaps annotation (SVG polygon format)
+// Parse the masks of every map in an Allmaps annotation (SVG selectors) into one multi-polygon
+// Returns null without selectors; throws MaskParseError for selectors that can't be read
 export function parseAllmapsMask(annotation) {
-  try {
-    let svgValue = null;
-    if (annotation.type === 'AnnotationPage' && annotation.items?.[0]) {
-      svgValue = annotation.items[0].target?.selector?.value;
-    } else if (annotation.target?.selector?.value) {
-      svgValue = annotation.target.selector.value;
-    }
-    
-    if (svgValue) {
-      // Parse SVG polygon points: <svg...><polygon points="x1,y1 x2,y2 ..." /></svg>
-      const match = svgValue.match(/points="([^"]+)"/);
-      if (match) {
-        const points = match[1].split(' ').map(p => {
-          const [x, y] = p.split(',').map(Number);
-          return [x, y];
-        });
-        if (points.length >= 3) {
-          return points;
-        }
-      }
-    }
-  } catch (e) {
-    console.error('Error parsing Allmaps mask:', e);
-  }
-  return null;
+  const items = annotation.type === 'AnnotationPage' ? annotation.items || [] : [annotation];
+  const polygons = items
+    .map(item => item.target?.selector?.value)
+    .filter(Boolean)
+    .flatMap(svg => parseSvgMask(svg));
+  return polygons.length > 0 ? polygons : null;
 }
 
 // Compare GCPs between MapWarper and Allmaps
 export function compareGcps(mwGcps, allmapsGcps) {
-  if (mwGcps.length !== allmapsGcps.length) return false;
-  if (mwGcps.length === 0) return true;
+  return isGcpDiffEmpty(diffGcps(mwGcps, allmapsGcps));
+}
+
+// Flatten a GCP diff into numbered rows (numbers match the markers in renderGcpDiffImage)
+export function gcpDiffRows(diff) {
+  return [
+    ...diff.added.map(to => ({ change: 'added', to })),
+    ...diff.removed.map(from => ({ change: 'removed', from })),
+    ...diff.moved.map(m => ({ change: 'moved', ...m })),
+  ].map((row, index) => ({ ...row, number: index + 1 }));
+}
+
+function formatPoint(gcp) {
+  return gcp ? `${gcp.x.toFixed(1)}, ${gcp.y.toFixed(1)}<br><small>${gcp.lon.toFixed(6)}, ${gcp.lat.toFixed(6)}</small>` : '';
+}
+
+// Render a GCP diff as an HTML table
+export function renderGcpDiffTable(diff) {
+  const rows = gcpDiffRows(diff);
+  const summary = `${diff.added.length} added, ${diff.removed.length} removed, ${diff.moved.length} moved, ${diff.unchanged.length} unchanged`;
+  if (rows.length === 0) return `<p class="gcp-diff-summary">${summary}</p>`;
   
-  const tolerance = 0.5;
-  const sortedMw = [...mwGcps].sort((a, b) => {
-    const ax = a.attributes?.x ?? a.x;
-    const bx = b.attributes?.x ?? b.x;
-    return ax - bx;
-  });
-  const sortedAm = [...allmapsGcps].sort((a, b) => a.x - b.x);
+  return `
+    <table class="gcp-diff">
+      <thead><tr><th>#</th><th>Change</th><th>MapWarper</th><th>Allmaps</th><th>Δ px</th><th>Δ m</th></tr></thead>
+      <tbody>
+        ${rows.map(row => `
+          <tr class="gcp-${row.change}" data-gcp="${row.number}">
+            <td>${row.number}</td>
+            <td>${row.change}</td>
+            <td>${formatPoint(row.from)}</td>
+            <td>${formatPoint(row.to)}</td>
+            <td>${row.pixelDelta != null ? row.pixelDelta.toFixed(1) : ''}</td>
+            <td>${row.metreDelta != null ? row.metreDelta.toFixed(1) : ''}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    <p class="gcp-diff-summary">${summary}</p>
+  `;
+}
+
+// Marker colours per change type, shared by the image overlay and the compare maps
+export const GCP_DIFF_COLORS = { added: '#27ae60', removed: '#c0392b', moved: '#e67e22' };
+
+// Render the map image with the changed GCPs marked (SVG in image pixel space)
+export function renderGcpDiffImage(iiifUrl, iiifInfo, diff, maxSize = 400) {
+  const scale = Math.min(maxSize / iiifInfo.width, maxSize / iiifInfo.height, 1);
+  const r = 6 / scale;
+  const markers = gcpDiffRows(diff).map(row => {
+    const color = GCP_DIFF_COLORS[row.change];
+    const point = row.to ?? row.from;
+    const line = row.change === 'moved'
+      ? `<line x1="${row.from.x}" y1="${row.from.y}" x2="${row.to.x}" y2="${row.to.y}" stroke="${color}" stroke-width="${r / 3}" />`
+      : '';
+    return `
+      <g class="gcp-marker" data-gcp="${row.number}">
+        ${line}
+        <circle cx="${point.x}" cy="${point.y}" r="${r}" fill="${color}" fill-opacity="0.8" stroke="#fff" stroke-width="${r / 4}" />
+        <text x="${point.x}" y="${point.y - r * 1.4}" font-size="${r * 1.6}" text-anchor="middle" fill="#fff" stroke="#000" stroke-width="${r / 8}">${row.number}</text>
+      </g>
+    `;
+  }).join('');
   
-  for (let i = 0; i < sortedMw.length; i++) {
-    const mw = sortedMw[i];
-    const am = sortedAm[i];
-    const mwX = mw.attributes?.x ?? mw.x;
-    const mwY = mw.attributes?.y ?? mw.y;
-    const mwLon = parseFloat(mw.attributes?.lon ?? mw.lon);
-    const mwLat = parseFloat(mw.attributes?.lat ?? mw.lat);
-    
-    if (Math.abs(mwX - am.x) > tolerance ||
-        Math.abs(mwY - am.y) > tolerance ||
-        Math.abs(mwLon - am.lon) > 0.00001 ||
-        Math.abs(mwLat - am.lat) > 0.00001) {
-      return false;
-    }
-  }
-  return true;
+  return `
+    <svg class="gcp-diff-image" viewBox="0 0 ${iiifInfo.width} ${iiifInfo.height}" width="${Math.round(iiifInfo.width * scale)}" height="${Math.round(iiifInfo.height * scale)}">
+      <image href="${iiifUrl}/full/!${maxSize},${maxSize}/0/default.jpg" width="${iiifInfo.width}" height="${iiifInfo.height}" />
+      ${markers}
+    </svg>
+  `;
+}
+
+// Highlight the marker matching a hovered diff table row
+export function linkGcpDiffHighlights(container) {
+  container.querySelectorAll('tr[data-gcp]').forEach(row => {
+    const markers = container.querySelectorAll(`.gcp-marker[data-gcp="${row.dataset.gcp}"]`);
+    row.addEventListener('mouseenter', () => markers.forEach(m => m.classList.add('highlight')));
+    row.addEventListener('mouseleave', () => markers.forEach(m => m.classList.remove('highlight')));
+  });
 }
 
 // Compare masks between MapWarper and Allmaps
@@ -161,44 +249,37 @@ export function formatGcpsCsv(gcps) {
   return 'x,y,lon,lat\n' + gcps.map(g => `${g.x},${g.y},${g.lon},${g.lat}`).join('\n');
 }
 
-// Fetch MapWarper georeferencing data for a map
-export async function fetchMwGeoreferencingData(mapId) {
-  const iiifUrl = getMapIiifUrl(mapId);
-  
-  const [gcpsRes, infoRes, maskRes] = await Promise.all([
-    fetch(`${CONFIG.mapwarperBaseUrl}/api/v1/maps/${mapId}/gcps`),
-    fetch(`${iiifUrl}/info.json`),
-    fetch(`${window.location.origin}/mapwarper/maps/${mapId}/iiif/mask.json`)
-  ]);
-  
-  if (!gcpsRes.ok) throw new Error('Failed to fetch GCPs');
-  if (!infoRes.ok) throw new Error('Failed to fetch IIIF info');
-  
-  const gcpsData = await gcpsRes.json();
-  const iiifInfo = await infoRes.json();
-  const gcps = gcpsData.data || [];
-  
-  // Get mask coords (use image perimeter if no mask or invalid mask)
-  const defaultMask = [[0, 0], [iiifInfo.width, 0], [iiifInfo.width, iiifInfo.height], [0, iiifInfo.height]];
-  let maskCoords = defaultMask;
-  if (maskRes.ok) {
-    const maskData = await maskRes.json();
-    if (maskData.coords && maskData.coords.length >= 3) {
-      maskCoords = maskData.coords;
-    }
-  }
-  
-  return { iiifUrl, iiifInfo, gcps, maskCoords };
+// Fetch a map's info.json from the bridge, which says why maps without an image can't be served
+export async function fetchIiifInfo(iiifUrl) {
+  const response = await fetch(`${iiifUrl}/info.json`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Failed to fetch IIIF info');
+  return data;
+}
+
+// Fetch the bridge's Allmaps annotation of a map's MapWarper georeferencing; null when the map has no GCPs
+export async function fetchMwAnnotation(mapId) {
+  const response = await fetch(`${getMapGeorefUrl(mapId)}/annotation.json`);
+  if (response.status === 404) return null;
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Failed to fetch MapWarper annotation');
+  return data;
+}
+
+// Transformation of an Allmaps annotation (or the first annotation of a page)
+export function parseAllmapsTransformation(annotation) {
+  const first = annotation.type === 'AnnotationPage' ? annotation.items?.[0] : annotation;
+  return first?.body?.transformation || null;
 }
 
 // Build GeoreferencedMap object from MapWarper data
-export function buildGeoreferencedMap(iiifUrl, iiifInfo, gcps, maskCoords) {
+export function buildGeoreferencedMap(iiifUrl, iiifInfo, gcps, maskCoords, transformOptions = 'auto') {
   return {
     type: 'GeoreferencedMap',
     '@context': 'https://schemas.allmaps.org/map/2/context.json',
     resource: {
       id: iiifUrl,
-      type: 'ImageService2',
+      type: 'ImageService3',
       width: iiifInfo.width,
       height: iiifInfo.height
     },
@@ -206,10 +287,121 @@ export function buildGeoreferencedMap(iiifUrl, iiifInfo, gcps, maskCoords) {
       resource: [parseFloat(gcp.attributes.x), parseFloat(gcp.attributes.y)],
       geo: [parseFloat(gcp.attributes.lon), parseFloat(gcp.attributes.lat)]
     })),
-    resourceMask: maskCoords
+    resourceMask: maskCoords,
+    transformation: toAllmapsTransformation(transformOptions, gcps.length)
   };
 }
 
+// Sync states, in the order the dashboard sorts them
+export const SYNC_STATUSES = {
+  'in-sync': 'In sync',
+  'mw-newer': 'MW newer',
+  'allmaps-newer': 'Allmaps newer',
+  'differs': 'Differs',
+  'missing-allmaps': 'Missing in Allmaps',
+  'missing-mw': 'Missing in MW',
+  'none': 'Not georeferenced',
+  'error': 'Error',
+};
+
+// Latest modification time recorded in an Allmaps annotation (or annotation page)
+function allmapsModified(annotation) {
+  const annotations = annotation.type === 'AnnotationPage' ? annotation.items || [] : [annotation];
+  const dates = annotations.map(a => a.modified || a.created).filter(Boolean);
+  return dates.length ? dates.sort().at(-1) : null;
+}
+
+// Fetch and compare MapWarper and Allmaps georeferencing for a map
+export async function fetchSyncData(mapId) {
+  const iiifUrl = getMapIiifUrl(mapId);
+  const [iiifInfo, gcpsResponse, maskCoords, allmapsAnnotation] = await Promise.all([
+    fetchIiifInfo(iiifUrl),
+    fetch(`${CONFIG.mapwarperBaseUrl}/api/v1/maps/${mapId}/gcps`).then(r => r.json()),
+    fetch(`${iiifUrl}/mask.json`)
+      .then(r => r.ok ? r.json() : null)
+      .then(d => d?.coords || null)
+      .catch(() => null),
+    fetchAllmapsAnnotation(mapId),
+  ]);
+  
+  const mwGcps = gcpsResponse.data || [];
+  const allmapsGcps = allmapsAnnotation ? parseAllmapsGcps(allmapsAnnotation) : [];
+  // Allmaps masks are compared by the outer ring of their largest part; extra parts or holes always differ
+  let allmapsMaskPolygons = null;
+  let maskError = null;
+  try {
+    allmapsMaskPolygons = allmapsAnnotation ? parseAllmapsMask(allmapsAnnotation) : null;
+  } catch (e) {
+    maskError = e.message;
+  }
+  const allmapsMask = allmapsMaskPolygons ? largestOuterRing(allmapsMaskPolygons) : null;
+  const isSingleRing = !allmapsMaskPolygons || (allmapsMaskPolygons.length === 1 && allmapsMaskPolygons[0].length === 1);
+  const allmapsTransformation = allmapsAnnotation ? parseAllmapsTransformation(allmapsAnnotation) : null;
+  
+  const gcpDiff = diffGcps(mwGcps, allmapsGcps);
+  const gcpsMatch = isGcpDiffEmpty(gcpDiff);
+  const hasMwMask = maskCoords && maskCoords.length >= 3;
+  const effectiveMwMask = maskCoords || [[0, 0], [iiifInfo.width, 0], [iiifInfo.width, iiifInfo.height], [0, iiifInfo.height]];
+  const masksMatch = !maskError && isSingleRing && compareMasks(effectiveMwMask, allmapsMask);
+  
+  const mwUpdatedAt = mwGcps.map(g => g.attributes.updated_at).filter(Boolean).sort().at(-1) || null;
+  const allmapsUpdatedAt = allmapsAnnotation ? allmapsModified(allmapsAnnotation) : null;
+  
+  return { iiifInfo, mwGcps, allmapsGcps, allmapsTransformation, allmapsMask, allmapsMaskPolygons, maskError, maskCoords, gcpDiff, gcpsMatch, masksMatch, hasMwMask, iiifUrl, mwUpdatedAt, allmapsUpdatedAt };
+}
+
+// Classify sync data into one of SYNC_STATUSES
+export function getSyncStatus(data) {
+  const { mwGcps, allmapsGcps, gcpsMatch, masksMatch, mwUpdatedAt, allmapsUpdatedAt } = data;
+  if (mwGcps.length === 0 && allmapsGcps.length === 0) return 'none';
+  if (allmapsGcps.length === 0) return 'missing-allmaps';
+  if (mwGcps.length === 0) return 'missing-mw';
+  if (gcpsMatch && masksMatch) return 'in-sync';
+  if (!mwUpdatedAt || !allmapsUpdatedAt) return 'differs';
+  return new Date(mwUpdatedAt) > new Date(allmapsUpdatedAt) ? 'mw-newer' : 'allmaps-newer';
+}
+
+// Run `task` over `items` with at most `concurrency` in flight, starting one every `interval` ms
+// `onResult(item, result, error)` is called as each finishes; return false from `shouldContinue` to stop early
+export async function runRateLimited(items, task, { concurrency = 4, interval = 250, onResult, shouldContinue = () => true }) {
+  let next = 0;
+  let lastStart = 0;
+  
+  const worker = async () => {
+    while (next < items.length && shouldContinue()) {
+      const item = items[next++];
+      const wait = lastStart + interval - Date.now();
+      lastStart = Math.max(Date.now(), lastStart + interval);
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      
+      try {
+        onResult?.(item, await task(item), null);
+      } catch (error) {
+        onResult?.(item, null, error);
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+// Escape a value for a CSV cell
+export function csvCell(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Trigger a browser download of `content`
+export function downloadFile(content, filename, type = 'text/csv') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
 // Fetch Allmaps annotation for a map
 export async function fetchAllmapsAnnotation(mapId) {
   const iiifUrl = getMapIiifUrl(mapId);
@@ -2,14 +2,18 @@
  * Compare page - side by side comparison of MapWarper and Allmaps georeferencing
  */
 
-import { CONFIG, getMapIiifUrl, fetchMwGeoreferencingData, buildGeoreferencedMap, fetchAllmapsAnnotation } from './common.js';
-import { generateAnnotation } from 'https://esm.sh/@allmaps/annotation@1.0.0-beta.36';
+import { CONFIG, instanceReady, getMapIiifUrl, fetchMwAnnotation, fetchAllmapsAnnotation, parseAllmapsGcps, diffGcps, gcpDiffRows, renderGcpDiffTable, GCP_DIFF_COLORS } from './common.js';
+import { imageUnavailability } from './map-status.js';
 import { WarpedMapLayer } from 'https://esm.sh/@allmaps/maplibre@1.0.0-beta.36';
 
 const statusEl = document.getElementById('status');
 const compareWrapper = document.getElementById('compare-wrapper');
 const pageTitleEl = document.getElementById('page-title');
 const pageMetaEl = document.getElementById('page-meta');
+const gcpDiffEl = document.getElementById('gcp-diff');
+const qualityEl = document.getElementById('quality');
+
+await instanceReady;
 
 // Get map ID from URL
 const params = new URLSearchParams(window.location.search);
@@ -46,13 +50,21 @@ async function initComparison(mapId) {
     pageTitleEl.textContent = `Compare: ${mapTitle}`;
     pageMetaEl.textContent = `Map ID: ${mapId}`;
     
+    const unavailable = mapInfo.data?.attributes && imageUnavailability(mapInfo.data.attributes);
+    if (unavailable) {
+      showError(`This map can't be bridged: ${unavailable.reason}.`);
+      return;
+    }
+    
     // Fetch both georeferencing sources
-    const [mwData, allmapsAnnotation] = await Promise.all([
-      fetchMwGeoreferencingData(mapId).catch(() => null),
+    // The bridge serves MapWarper's GCPs, mask and warp method as an Allmaps annotation
+    const [mwAnnotation, allmapsAnnotation] = await Promise.all([
+      fetchMwAnnotation(mapId).catch(() => null),
       fetchAllmapsAnnotation(mapId)
     ]);
     
-    const hasMwGeoreferencing = mwData && mwData.gcps.length > 0;
+    const gcps = mwAnnotation ? parseAllmapsGcps(mwAnnotation) : [];
+    const hasMwGeoreferencing = gcps.length > 0;
     const hasAllmapsGeoreferencing = allmapsAnnotation && 
       ((allmapsAnnotation.items && allmapsAnnotation.items.length > 0) || 
        allmapsAnnotation.body?.features?.length > 0);
@@ -72,18 +84,11 @@ async function initComparison(mapId) {
       return;
     }
     
-    showStatus('Generating annotations...');
-    
-    // Generate MapWarper annotation
-    const { iiifUrl, iiifInfo, gcps, maskCoords } = mwData;
-    const mwGeoreferencedMap = buildGeoreferencedMap(iiifUrl, iiifInfo, gcps, maskCoords);
-    const mwAnnotation = generateAnnotation(mwGeoreferencedMap);
-    
     showStatus('Initializing maps...');
     
     // Calculate center from GCPs
-    const allLons = gcps.map(g => parseFloat(g.attributes.lon));
-    const allLats = gcps.map(g => parseFloat(g.attributes.lat));
+    const allLons = gcps.map(g => g.lon);
+    const allLats = gcps.map(g => g.lat);
     const centerLon = allLons.reduce((a, b) => a + b, 0) / allLons.length;
     const centerLat = allLats.reduce((a, b) => a + b, 0) / allLats.length;
     
@@ -146,8 +151,161 @@ async function initComparison(mapId) {
       mousemove: false
     });
     
+    showGcpDiff(diffGcps(gcps, parseAllmapsGcps(allmapsAnnotation)), [beforeMap, afterMap]);
+    showQuality(mapId);
+    
   } catch (err) {
     console.error('Comparison error:', err);
     showError(`Error: ${err.message}`);
   }
 }
+
+// GeoJSON of changed GCPs: MapWarper positions for removed points, Allmaps positions for
+// added ones, and a line from the MapWarper to the Allmaps position for moved ones
+function gcpDiffGeoJson(rows) {
+  const features = [];
+  rows.forEach(row => {
+    const properties = { number: row.number, color: GCP_DIFF_COLORS[row.change] };
+    const point = row.to ?? row.from;
+    features.push({ type: 'Feature', properties, geometry: { type: 'Point', coordinates: [point.lon, point.lat] } });
+    if (row.change === 'moved') {
+      features.push({
+        type: 'Feature',
+        properties,
+        geometry: { type: 'LineString', coordinates: [[row.from.lon, row.from.lat], [row.to.lon, row.to.lat]] },
+      });
+    }
+  });
+  return { type: 'FeatureCollection', features };
+}
+
+// Show the GCP diff table and mark the changed points on both maps
+function showGcpDiff(diff, maps) {
+  const rows = gcpDiffRows(diff);
+  gcpDiffEl.innerHTML = `<h2>GCP changes</h2>${renderGcpDiffTable(diff)}`;
+  gcpDiffEl.style.display = 'block';
+  if (rows.length === 0) return;
+  
+  const data = gcpDiffGeoJson(rows);
+  maps.forEach(map => {
+    map.addSource('gcp-diff', { type: 'geojson', data });
+    map.addLayer({
+      id: 'gcp-diff-lines',
+      type: 'line',
+      source: 'gcp-diff',
+      filter: ['==', ['geometry-type'], 'LineString'],
+      paint: { 'line-color': ['get', 'color'], 'line-width': 2, 'line-dasharray': [2, 1] },
+    });
+    map.addLayer({
+      id: 'gcp-diff-points',
+      type: 'circle',
+      source: 'gcp-diff',
+      filter: ['==', ['geometry-type'], 'Point'],
+      paint: {
+        'circle-color': ['get', 'color'],
+        'circle-radius': 6,
+        'circle-stroke-color': '#fff',
+        'circle-stroke-width': 2,
+      },
+    });
+  });
+  
+  // Hovering a row enlarges its marker; clicking it centres both maps on the point
+  gcpDiffEl.querySelectorAll('tr[data-gcp]').forEach(tr => {
+    const row = rows[Number(tr.dataset.gcp) - 1];
+    const point = row.to ?? row.from;
+    tr.addEventListener('mouseenter', () => maps.forEach(map => setHighlight(map, row.number)));
+    tr.addEventListener('mouseleave', () => maps.forEach(map => setHighlight(map, null)));
+    tr.addEventListener('click', () => maps.forEach(map => map.flyTo({ center: [point.lon, point.lat], zoom: Math.max(map.getZoom(), 15) })));
+  });
+}
+
+function setHighlight(map, number) {
+  map.setPaintProperty('gcp-diff-points', 'circle-radius', ['case', ['==', ['get', 'number'], number ?? -1], 10, 6]);
+}
+
+// Warp quality: RMS error per transformation type and per-GCP residuals
+
+const TRANSFORMATION_LABELS = {
+  polynomial1: 'Polynomial 1 (affine)',
+  polynomial2: 'Polynomial 2',
+  polynomial3: 'Polynomial 3',
+  thinPlateSpline: 'Thin-plate spline',
+};
+
+// Residuals this many times the RMS are flagged as suspect
+const SUSPECT_FACTOR = 2;
+
+function formatRms(quality) {
+  if (!quality) return '–';
+  if (quality.error) return `<small>${quality.error}</small>`;
+  return `${quality.rmsMetres.toFixed(1)} m / ${quality.rmsPixels.toFixed(1)} px`;
+}
+
+function renderResiduals(label, quality) {
+  if (!quality || quality.error) return '';
+  const rows = quality.residuals.map((r, i) => {
+    const suspect = quality.residuals.length > 3 && r.metres > SUSPECT_FACTOR * quality.rmsMetres;
+    return `
+      <tr class="${suspect ? 'suspect' : ''}">
+        <td>${i + 1}</td>
+        <td>${r.resource[0].toFixed(1)}, ${r.resource[1].toFixed(1)}</td>
+        <td>${r.geo[0].toFixed(6)}, ${r.geo[1].toFixed(6)}</td>
+        <td>${r.metres.toFixed(1)}</td>
+        <td>${r.pixels.toFixed(1)}</td>
+      </tr>
+    `;
+  }).join('');
+  return `
+    <div class="residuals">
+      <h3>${label}</h3>
+      <table class="gcp-diff">
+        <thead><tr><th>#</th><th>Pixel</th><th>Lon, lat</th><th>Residual m</th><th>Residual px</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+  `;
+}
+
+async function showQuality(mapId) {
+  qualityEl.style.display = 'block';
+  qualityEl.innerHTML = '<h2>Warp quality</h2><p>Computing residuals...</p>';
+  
+  try {
+    const res = await fetch(`${getMapIiifUrl(mapId).replace(/\/iiif$/, '')}/georef/quality.json`);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const quality = await res.json();
+    const byType = side => Object.fromEntries((quality[side]?.transformations || []).map(t => [t.type, t]));
+    const mw = byType('mapwarper');
+    const am = byType('allmaps');
+    
+    const renderSelected = type => {
+      qualityEl.querySelector('#residuals').innerHTML =
+        renderResiduals('MapWarper', mw[type]) + renderResiduals('Allmaps', am[type]);
+    };
+    
+    qualityEl.innerHTML = `
+      <h2>Warp quality</h2>
+      <table class="gcp-diff quality-table">
+        <thead><tr><th>Transformation</th><th>MapWarper RMS</th><th>Allmaps RMS</th></tr></thead>
+        <tbody>
+          ${Object.entries(TRANSFORMATION_LABELS).map(([type, label]) => `
+            <tr data-type="${type}">
+              <td><label><input type="radio" name="quality-type" value="${type}" ${type === 'polynomial1' ? 'checked' : ''}> ${label}</label></td>
+              <td>${formatRms(mw[type])}</td>
+              <td>${formatRms(am[type])}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="gcp-diff-summary">Residuals more than ${SUSPECT_FACTOR}× the RMS error are highlighted. Thin-plate splines pass through every GCP, so their residuals are always zero.</p>
+      <div id="residuals" class="residuals-grid"></div>
+    `;
+    qualityEl.querySelectorAll('input[name="quality-type"]').forEach(input => {
+      input.addEventListener('change', () => renderSelected(input.value));
+    });
+    renderSelected('polynomial1');
+  } catch (err) {
+    qualityEl.innerHTML = `<h2>Warp quality</h2><p class="error">Could not compute quality: ${err.message}</p>`;
+  }
+}
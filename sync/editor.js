@@ -2,7 +2,11 @@
  * Editor page for MapWarper ↔ Allmaps sync
  */
 
-import { CONFIG, getMapIiifUrl, parseAllmapsGcps, parseAllmapsMask, compareGcps, compareMasks, getMwWarpUrl, getAllmapsEditorUrl, copyToClipboard, formatGcpsCsv, getAllmapsAnnotationUrl, fetchAllmapsAnnotation } from './common.js';
+import { generateAnnotation } from 'https://esm.sh/@allmaps/annotation@1.0.0-beta.36';
+import { parseGcpFile, validateGcps, GCP_FORMATS } from './gcp-import.js';
+import { CONFIG, instanceReady, withInstance, fetchSyncData, buildGeoreferencedMap, toWarpMethod, renderGcpDiffTable, renderGcpDiffImage, linkGcpDiffHighlights, getMwWarpUrl, getAllmapsEditorUrl, copyToClipboard, escapeHtml, formatGcpsCsv, downloadFile } from './common.js';
+
+await instanceReady;
 
 const params = new URLSearchParams(window.location.search);
 const mapId = params.get('map');
@@ -22,14 +26,19 @@ document.title = mode === 'mapwarper' ? 'Sync to MapWarper' : 'Sync to Allmaps';
 
 // Set map link with mapId in search query
 if (mapId) {
-  mapLinkEl.href = `./?q=${mapId}`;
+  mapLinkEl.href = withInstance(`./?q=${mapId}`);
 }
 
+// Latest sync data; GCP import validates against its info.json
+let currentData = null;
+let importedGcps = [];
+
 if (!mapId) {
+  document.getElementById('import-control').style.display = 'none';
   contentEl.innerHTML = '<div class="error">Missing map ID.<br><br>Usage: ?map={mapId}&mode=allmaps|mapwarper</div>';
   compareLinkEl.style.display = 'none';
 } else {
-  compareLinkEl.href = `compare.html?map=${mapId}`;
+  compareLinkEl.href = withInstance(`compare.html?map=${mapId}`);
   contentEl.innerHTML = '<div class="loading">Loading map data...</div>';
   loadMapData(mapId, mode);
 }
@@ -39,8 +48,7 @@ async function refreshStatus() {
   syncStatusEl.className = '';
   
   try {
-    const iiifUrl = getMapIiifUrl(mapId);
-    const data = await fetchSyncData(mapId, iiifUrl);
+    const data = await fetchSyncData(mapId);
     updateStatusAndControls(data, mode, false);
   } catch (error) {
     syncStatusEl.textContent = 'Error checking status';
@@ -48,31 +56,13 @@ async function refreshStatus() {
   }
 }
 
-async function fetchSyncData(mapId, iiifUrl) {
-  const [iiifInfo, gcpsResponse, maskCoords, allmapsAnnotation] = await Promise.all([
-    fetch(`${iiifUrl}/info.json`).then(r => r.json()),
-    fetch(`${CONFIG.mapwarperBaseUrl}/api/v1/maps/${mapId}/gcps`).then(r => r.json()),
-    fetch(`${window.location.origin}/mapwarper/maps/${mapId}/iiif/mask.json`)
-      .then(r => r.ok ? r.json() : null)
-      .then(d => d?.coords || null)
-      .catch(() => null),
-    fetchAllmapsAnnotation(mapId),
-  ]);
-  
-  const mwGcps = gcpsResponse.data || [];
-  const allmapsGcps = allmapsAnnotation ? parseAllmapsGcps(allmapsAnnotation) : [];
-  const allmapsMask = allmapsAnnotation ? parseAllmapsMask(allmapsAnnotation) : null;
-  
-  const gcpsMatch = compareGcps(mwGcps, allmapsGcps);
-  const hasMwMask = maskCoords && maskCoords.length >= 3;
-  const effectiveMwMask = maskCoords || [[0, 0], [iiifInfo.width, 0], [iiifInfo.width, iiifInfo.height], [0, iiifInfo.height]];
-  const masksMatch = compareMasks(effectiveMwMask, allmapsMask);
-  
-  return { iiifInfo, mwGcps, allmapsGcps, maskCoords, gcpsMatch, masksMatch, hasMwMask, iiifUrl };
-}
-
 function updateStatusAndControls(data, mode, updateContent = true) {
-  const { iiifInfo, mwGcps, allmapsGcps, maskCoords, gcpsMatch, masksMatch, hasMwMask, iiifUrl } = data;
+  currentData = data;
+  const { iiifInfo, mwGcps, allmapsGcps, allmapsTransformation, allmapsMask, allmapsMaskPolygons, maskError, maskCoords, gcpDiff, gcpsMatch, masksMatch, hasMwMask, iiifUrl } = data;
+  window.allmapsTransformationData = allmapsTransformation;
+  // Allmaps masks that differ from MapWarper's can be taken back as a GML mask, every part and hole included
+  const maskNeedsWriteBack = Boolean(allmapsMask) && !masksMatch;
+  window.allmapsMaskData = allmapsMaskPolygons;
   
   if (mode === 'allmaps') {
     updateSyncStatus(mwGcps.length, allmapsGcps.length, gcpsMatch, masksMatch, hasMwMask);
@@ -82,19 +72,43 @@ function updateStatusAndControls(data, mode, updateContent = true) {
       contentEl.innerHTML = `<iframe class="editor-frame" src="${editorUrl}" allow="fullscreen"></iframe>`;
     }
   } else {
-    updateMapwarperSyncStatus(allmapsGcps.length, gcpsMatch);
-    updateMapwarperControls(allmapsGcps, gcpsMatch);
+    updateMapwarperSyncStatus(allmapsGcps.length, gcpsMatch, maskNeedsWriteBack);
+    updateMapwarperControls(allmapsGcps, gcpsMatch, maskNeedsWriteBack ? allmapsMask : null);
     if (updateContent) {
       const editorUrl = getMwWarpUrl(mapId);
       contentEl.innerHTML = `
         <div class="center-content">
           <p style="color:#666;margin-bottom:0.5rem;">MapWarper cannot be embedded due to security restrictions.</p>
           <a href="${editorUrl}" target="_blank" class="big-link">Open MapWarper Warp Editor ↗</a>
-          ${allmapsGcps.length > 0 && !gcpsMatch ? '<p style="color:#888;font-size:0.85rem;margin-top:1.5rem;">Download the CSV above and import it into MapWarper.</p>' : ''}
+          ${(allmapsGcps.length > 0 && !gcpsMatch) || maskNeedsWriteBack ? renderWriteBackPanel(allmapsGcps.length > 0 && !gcpsMatch, maskNeedsWriteBack) : ''}
         </div>
       `;
     }
   }
+  
+  // Unreadable Allmaps clips are reported rather than treated as missing
+  syncStatusEl.title = maskError ? `Allmaps clip could not be read: ${maskError}` : '';
+  if (maskError) syncStatusEl.textContent += ' · Allmaps clip unreadable';
+  
+  if (mwGcps.length > 0 && allmapsGcps.length > 0 && !gcpsMatch) {
+    addGcpDiffControl(gcpDiff, iiifUrl, iiifInfo);
+  }
+}
+
+// Expandable table of GCP changes with the changed points marked on the image
+function addGcpDiffControl(gcpDiff, iiifUrl, iiifInfo) {
+  controlsEl.insertAdjacentHTML('afterbegin', `
+    <div class="copy-section expandable">
+      <label>Changes:</label>
+      <span class="count">${gcpDiff.added.length + gcpDiff.removed.length + gcpDiff.moved.length}</span>
+      <button class="btn btn-show" onclick="toggleExpand(this)">Show</button>
+      <div class="expandable-content gcp-diff-content">
+        ${renderGcpDiffImage(iiifUrl, iiifInfo, gcpDiff)}
+        ${renderGcpDiffTable(gcpDiff)}
+      </div>
+    </div>
+  `);
+  linkGcpDiffHighlights(controlsEl.firstElementChild);
 }
 
 function updateAllmapsControls(mwGcps, maskCoords, gcpsMatch, masksMatch) {
@@ -134,8 +148,11 @@ function updateAllmapsControls(mwGcps, maskCoords, gcpsMatch, masksMatch) {
   controlsEl.innerHTML = controls;
 }
 
-function updateMapwarperSyncStatus(allmapsGcpCount, gcpsMatch) {
-  if (allmapsGcpCount === 0) {
+function updateMapwarperSyncStatus(allmapsGcpCount, gcpsMatch, maskNeedsWriteBack) {
+  if (allmapsGcpCount === 0 && maskNeedsWriteBack) {
+    syncStatusEl.textContent = 'Clip needs update';
+    syncStatusEl.className = 'needs-update';
+  } else if (allmapsGcpCount === 0) {
     syncStatusEl.textContent = 'No Allmaps GCPs to sync';
     syncStatusEl.className = '';
   } else if (gcpsMatch) {
@@ -147,7 +164,7 @@ function updateMapwarperSyncStatus(allmapsGcpCount, gcpsMatch) {
   }
 }
 
-function updateMapwarperControls(allmapsGcps, gcpsMatch) {
+function updateMapwarperControls(allmapsGcps, gcpsMatch, allmapsMask) {
   let controls = '';
   
   if (allmapsGcps.length > 0 && !gcpsMatch) {
@@ -167,13 +184,22 @@ function updateMapwarperControls(allmapsGcps, gcpsMatch) {
     `;
   }
   
+  if (allmapsMask) {
+    controls += `
+      <div class="copy-section">
+        <label>Allmaps Clip:</label>
+        <span class="count">${allmapsMask.length} pts</span>
+        <button class="btn btn-download" onclick="downloadGml('${mapId}')">⬇️ Download GML</button>
+      </div>
+    `;
+  }
+  
   controlsEl.innerHTML = controls;
 }
 
 async function loadMapData(mapId, mode) {
   try {
-    const iiifUrl = getMapIiifUrl(mapId);
-    const data = await fetchSyncData(mapId, iiifUrl);
+    const data = await fetchSyncData(mapId);
     updateStatusAndControls(data, mode, true);
   } catch (error) {
     contentEl.innerHTML = `<div class="error">Error loading map data: ${error.message}</div>`;
@@ -218,14 +244,122 @@ function downloadCsv(mapId) {
     return;
   }
   
-  const csv = formatGcpsCsv(gcps);
-  const blob = new Blob([csv], { type: 'text/csv' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `allmaps-gcps-${mapId}.csv`;
-  a.click();
-  URL.revokeObjectURL(url);
+  downloadFile(formatGcpsCsv(gcps), `allmaps-gcps-${mapId}.csv`);
+}
+
+// MapWarper API key is kept for the browser session only, per instance
+function apiKeyStorageKey() {
+  return `mapwarperApiKey:${CONFIG.instance}`;
+}
+
+function renderWriteBackPanel(showGcps, showMask) {
+  const savedKey = sessionStorage.getItem(apiKeyStorageKey()) || '';
+  return `
+    <div class="write-back">
+      ${showGcps ? `
+        <p>Write the Allmaps GCPs to MapWarper directly, or download the CSV above and import it by hand.</p>
+        <div class="write-back-row">
+          <input type="password" id="api-key" placeholder="MapWarper API key" value="${escapeHtml(savedKey).replace(/"/g, '&quot;')}" autocomplete="off">
+          <button class="btn btn-action" onclick="previewSync()">🔍 Preview changes</button>
+        </div>
+        <div id="sync-preview"></div>
+      ` : ''}
+      ${showMask ? '<p>The Allmaps clip differs from MapWarper\'s: download the GML above and apply it in MapWarper\'s Crop tab by hand.</p>' : ''}
+    </div>
+  `;
+}
+
+// POST the Allmaps clip to the bridge's GML mask endpoint (the bridge flips Y back to MapWarper's axis)
+async function downloadGml(mapId) {
+  try {
+    const response = await fetch(`${window.location.origin}/${CONFIG.instance}/maps/${mapId}/georef/mask.gml`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ resourceMask: window.allmapsMaskData || [] }),
+    });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+    downloadFile(await response.text(), `mask-${mapId}.gml`, 'application/gml+xml');
+  } catch (error) {
+    alert('Failed to build GML mask: ' + error.message);
+  }
+}
+
+// MapWarper warp methods as shown in its Rectify tab
+const WARP_METHOD_LABELS = {
+  auto: 'auto',
+  p1: '1st order polynomial',
+  p2: '2nd order polynomial',
+  p3: '3rd order polynomial',
+  tps: 'thin plate spline',
+};
+
+function syncRequest(dryRun, rewarp = false) {
+  const apiKey = document.getElementById('api-key').value.trim();
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+    sessionStorage.setItem(apiKeyStorageKey(), apiKey);
+  }
+  const url = `${window.location.origin}/${CONFIG.instance}/maps/${mapId}/georef/sync${dryRun ? '?dryRun=1' : ''}`;
+  return fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ gcps: window.allmapsGcpsData || [], rewarp, transformation: window.allmapsTransformationData || undefined }),
+  }).then(async r => {
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    return data;
+  });
+}
+
+// The sync endpoint's plan in the shape of diffGcps, so the preview uses the shared diff table
+function toGcpDiff(plan) {
+  return { added: plan.create, removed: plan.delete, moved: plan.update, unchanged: new Array(plan.unchanged) };
+}
+
+async function previewSync() {
+  const previewEl = document.getElementById('sync-preview');
+  previewEl.innerHTML = '<p>Comparing...</p>';
+  
+  try {
+    const { diff, transformOptions } = await syncRequest(true);
+    const hasChanges = diff.create.length + diff.update.length + diff.delete.length > 0;
+    previewEl.innerHTML = renderGcpDiffTable(toGcpDiff(diff)) + (hasChanges ? `
+      <div class="write-back-row">
+        <label><input type="checkbox" id="rewarp" checked> Re-warp after sync (${WARP_METHOD_LABELS[transformOptions] || transformOptions})</label>
+        <button class="btn btn-download" onclick="applySync()">⬆️ Apply to MapWarper</button>
+      </div>
+    ` : '');
+  } catch (error) {
+    previewEl.innerHTML = `<p class="write-back-error">Preview failed: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+async function applySync() {
+  const previewEl = document.getElementById('sync-preview');
+  const rewarp = document.getElementById('rewarp').checked;
+  if (!document.getElementById('api-key').value.trim()) {
+    alert('Enter your MapWarper API key first');
+    return;
+  }
+  if (!confirm(`Overwrite the MapWarper GCPs of map ${mapId}${rewarp ? ' and re-warp it' : ''}?`)) return;
+  
+  previewEl.innerHTML = '<p>Writing to MapWarper...</p>';
+  try {
+    const result = await syncRequest(false, rewarp);
+    const { created, updated, deleted } = result.applied;
+    let message = `Added ${created}, updated ${updated}, deleted ${deleted} GCPs${result.rewarped ? ' and re-warped the map' : ''}.`;
+    if (result.errors) {
+      message += `<br>Some changes failed:<br>${result.errors.map(escapeHtml).join('<br>')}`;
+    }
+    previewEl.innerHTML = `<p class="${result.errors ? 'write-back-error' : ''}">${message}</p>`;
+    refreshStatus();
+  } catch (error) {
+    previewEl.innerHTML = `<p class="write-back-error">Sync failed: ${escapeHtml(error.message)}</p>`;
+  }
 }
 
 function toggleExpand(btn) {
@@ -254,17 +388,102 @@ function copyText(id) {
     .catch(err => alert('Failed to copy: ' + err));
 }
 
+// GCP import: QGIS/GDAL/ESRI files, validated against info.json and converted for Allmaps or MapWarper
+function toggleImport() {
+  document.getElementById('import-panel').classList.toggle('show');
+}
+
+async function importGcpFile(file) {
+  const resultEl = document.getElementById('import-result');
+  if (!currentData) {
+    resultEl.innerHTML = '<p class="import-error">Map data is still loading, try again in a moment.</p>';
+    return;
+  }
+  
+  try {
+    const parsed = parseGcpFile(await file.text(), file.name);
+    const { gcps, errors, warnings } = validateGcps(parsed, currentData.iiifInfo);
+    importedGcps = gcps;
+    
+    const problems = [
+      ...errors.map(e => `<li class="import-error">${escapeHtml(e)}</li>`),
+      ...warnings.map(w => `<li class="import-warning">${escapeHtml(w)}</li>`),
+    ];
+    resultEl.innerHTML = `
+      <p><strong>${escapeHtml(file.name)}</strong> (${GCP_FORMATS[parsed.format]}): ${gcps.length} of ${parsed.gcps.length + parsed.errors.length} GCPs valid</p>
+      ${problems.length > 0 ? `<ul>${problems.join('')}</ul>` : ''}
+      ${gcps.length > 0 ? `
+        <label>Warp method <select id="import-warp-method">${renderWarpMethodOptions(importWarpMethod())}</select></label>
+        <button class="btn btn-download" onclick="downloadImportedAnnotation()">⬇️ Allmaps annotation</button>
+        <button class="btn btn-download" onclick="downloadImportedCsv()">⬇️ MapWarper CSV</button>
+      ` : ''}
+    `;
+  } catch (error) {
+    importedGcps = [];
+    resultEl.innerHTML = `<p class="import-error">Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Imported files don't carry a warp method; start from the map's Allmaps transformation, or auto
+function importWarpMethod() {
+  const { allmapsTransformation } = currentData;
+  return allmapsTransformation ? toWarpMethod(allmapsTransformation) : 'auto';
+}
+
+function renderWarpMethodOptions(selected) {
+  return Object.entries(WARP_METHOD_LABELS)
+    .map(([method, label]) => `<option value="${method}"${method === selected ? ' selected' : ''}>${label}</option>`)
+    .join('');
+}
+
+function downloadImportedAnnotation() {
+  const { iiifUrl, iiifInfo, maskCoords } = currentData;
+  // Keep MapWarper's clip when there is one; the imported file only has GCPs
+  const mask = maskCoords && maskCoords.length >= 3
+    ? maskCoords
+    : [[0, 0], [iiifInfo.width, 0], [iiifInfo.width, iiifInfo.height], [0, iiifInfo.height]];
+  const warpMethod = document.getElementById('import-warp-method').value;
+  const georeferencedMap = buildGeoreferencedMap(iiifUrl, iiifInfo, importedGcps.map(gcp => ({ attributes: gcp })), mask, warpMethod);
+  downloadFile(JSON.stringify(generateAnnotation(georeferencedMap), null, 2), `imported-annotation-${mapId}.json`, 'application/json');
+}
+
+function downloadImportedCsv() {
+  downloadFile(formatGcpsCsv(importedGcps), `imported-gcps-${mapId}.csv`);
+}
+
+const importDropEl = document.getElementById('import-drop');
+document.getElementById('import-file').addEventListener('change', (e) => {
+  if (e.target.files[0]) importGcpFile(e.target.files[0]);
+});
+importDropEl.addEventListener('dragover', (e) => {
+  e.preventDefault();
+  importDropEl.classList.add('dragover');
+});
+importDropEl.addEventListener('dragleave', () => importDropEl.classList.remove('dragover'));
+importDropEl.addEventListener('drop', (e) => {
+  e.preventDefault();
+  importDropEl.classList.remove('dragover');
+  if (e.dataTransfer.files[0]) importGcpFile(e.dataTransfer.files[0]);
+});
+
 document.addEventListener('click', (e) => {
   if (!e.target.closest('.expandable')) {
     document.querySelectorAll('.expandable-content.show').forEach(el => {
       el.classList.remove('show');
       el.parentElement.querySelector('.btn-show').textContent = 'Show';
     });
+    document.getElementById('import-panel').classList.remove('show');
   }
 });
 
 // Expose functions for onclick handlers
 window.refreshStatus = refreshStatus;
 window.downloadCsv = downloadCsv;
+window.previewSync = previewSync;
+window.applySync = applySync;
+window.downloadGml = downloadGml;
 window.toggleExpand = toggleExpand;
+window.toggleImport = toggleImport;
+window.downloadImportedAnnotation = downloadImportedAnnotation;
+window.downloadImportedCsv = downloadImportedCsv;
 window.copyText = copyText;
@@ -0,0 +1,43 @@
+/**
+ * Types for gcp-diff.js, so the worker pairs GCPs the same way the sync UI does
+ */
+
+export interface DiffGcp {
+  id?: string;
+  x: number;
+  y: number;
+  lon: number;
+  lat: number;
+}
+
+/** A MapWarper API GCP ({ id, attributes }) or a plain GCP, with numbers or numeric strings */
+export type GcpInput =
+  | { id?: string; x: number | string; y: number | string; lon: number | string; lat: number | string }
+  | { id?: string; attributes: { x: number | string; y: number | string; lon: number | string; lat: number | string } };
+
+export interface GcpPair {
+  from: DiffGcp;
+  to: DiffGcp;
+}
+
+export interface GcpMove extends GcpPair {
+  /** Pixel distance between the paired GCPs */
+  pixelDelta: number;
+  /** Ground distance in metres between the paired GCPs */
+  metreDelta: number;
+}
+
+export interface GcpPairDiff {
+  added: DiffGcp[];
+  removed: DiffGcp[];
+  moved: GcpMove[];
+  unchanged: GcpPair[];
+}
+
+export declare const GCP_PIXEL_TOLERANCE: number;
+export declare const GCP_GEO_TOLERANCE: number;
+export declare const GCP_MATCH_RADIUS: number;
+
+export declare function metresBetween(a: [number, number], b: [number, number]): number;
+export declare function diffGcps(mwGcps: GcpInput[], allmapsGcps: GcpInput[], matchRadius?: number): GcpPairDiff;
+export declare function isGcpDiffEmpty(diff: GcpPairDiff): boolean;
@@ -0,0 +1,81 @@
+/**
+ * GCP diff shared by the worker and the sync UI
+ * Pairs MapWarper GCPs with Allmaps GCPs, so the editor's diff table and the write-back
+ * preview always agree on what is added, removed or moved
+ */
+
+// GCPs closer than this (in pixels) and with matching coordinates count as unchanged
+export const GCP_PIXEL_TOLERANCE = 0.5;
+export const GCP_GEO_TOLERANCE = 0.00001;
+
+// GCPs further apart than this (in pixels) are never paired
+export const GCP_MATCH_RADIUS = 50;
+
+// Accept MapWarper API GCPs ({ id, attributes }) as well as plain { x, y, lon, lat } objects
+function normalizeGcp(gcp) {
+  const source = gcp.attributes ?? gcp;
+  return {
+    id: gcp.id,
+    x: parseFloat(source.x),
+    y: parseFloat(source.y),
+    lon: parseFloat(source.lon),
+    lat: parseFloat(source.lat),
+  };
+}
+
+// Great-circle distance in metres between two [lon, lat] points
+export function metresBetween([lon1, lat1], [lon2, lat2]) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(a));
+}
+
+// Pair MapWarper and Allmaps GCPs by nearest pixel position and report what changed
+// Returns { added, removed, moved, unchanged }; moved entries carry pixel and metre deltas
+export function diffGcps(mwGcps, allmapsGcps, matchRadius = GCP_MATCH_RADIUS) {
+  const mw = mwGcps.map(normalizeGcp);
+  const am = allmapsGcps.map(normalizeGcp);
+  
+  // Closest pairs first, so each point is paired with its nearest free counterpart
+  const pairs = [];
+  mw.forEach((m, i) => am.forEach((a, j) => {
+    const distance = Math.hypot(m.x - a.x, m.y - a.y);
+    if (distance <= matchRadius) pairs.push({ i, j, distance });
+  }));
+  pairs.sort((p, q) => p.distance - q.distance);
+  
+  const pairedMw = new Set();
+  const pairedAm = new Set();
+  const diff = { added: [], removed: [], moved: [], unchanged: [] };
+  
+  for (const { i, j, distance } of pairs) {
+    if (pairedMw.has(i) || pairedAm.has(j)) continue;
+    pairedMw.add(i);
+    pairedAm.add(j);
+    
+    const from = mw[i];
+    const to = am[j];
+    const geoChanged = Math.abs(from.lon - to.lon) > GCP_GEO_TOLERANCE || Math.abs(from.lat - to.lat) > GCP_GEO_TOLERANCE;
+    if (distance <= GCP_PIXEL_TOLERANCE && !geoChanged) {
+      diff.unchanged.push({ from, to });
+    } else {
+      diff.moved.push({
+        from,
+        to,
+        pixelDelta: distance,
+        metreDelta: metresBetween([from.lon, from.lat], [to.lon, to.lat]),
+      });
+    }
+  }
+  
+  diff.removed = mw.filter((_, i) => !pairedMw.has(i));
+  diff.added = am.filter((_, j) => !pairedAm.has(j));
+  return diff;
+}
+
+// Whether a GCP diff has no changes
+export function isGcpDiffEmpty(diff) {
+  return diff.added.length === 0 && diff.removed.length === 0 && diff.moved.length === 0;
+}
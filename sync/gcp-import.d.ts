@@ -0,0 +1,37 @@
+/**
+ * Types for gcp-import.js
+ */
+
+export type GcpFormat = "qgis" | "vrt" | "gdal" | "esri";
+
+export interface ImportedGcp {
+  x: number;
+  y: number;
+  lon: number;
+  lat: number;
+  /** Where the GCP came from in the file, for error messages */
+  source: string;
+}
+
+export interface ParsedGcps {
+  gcps: ImportedGcp[];
+  errors: string[];
+  crs: string | null;
+}
+
+export interface ValidatedGcps {
+  gcps: { x: number; y: number; lon: number; lat: number }[];
+  errors: string[];
+  warnings: string[];
+}
+
+export declare const GCP_FORMATS: Record<GcpFormat, string>;
+
+export declare function isWgs84(crs: string): boolean;
+export declare function detectGcpFormat(text: string, filename?: string): GcpFormat;
+export declare function parseGcpFile(text: string, filename?: string): ParsedGcps & { format: GcpFormat };
+export declare function parseQgisPoints(text: string): ParsedGcps;
+export declare function parseVrtGcps(text: string): ParsedGcps;
+export declare function parseGdalGcpOptions(text: string): ParsedGcps;
+export declare function parseEsriLinkTable(text: string): ParsedGcps;
+export declare function validateGcps(parsed: Partial<ParsedGcps> & Pick<ParsedGcps, "gcps">, size: { width: number; height: number }): ValidatedGcps;
@@ -0,0 +1,182 @@
+/**
+ * GCP import from desktop GIS files
+ * Reads QGIS .points files, GDAL VRT GCP lists and -gcp options, and ESRI link tables
+ * into { x, y, lon, lat } GCPs (pixels from the top-left, WGS 84 degrees)
+ */
+
+import { parseXml, MaskParseError } from './geometry.js';
+
+export const GCP_FORMATS = {
+  qgis: 'QGIS .points',
+  vrt: 'GDAL VRT',
+  gdal: 'GDAL GCP list',
+  esri: 'ESRI link table',
+};
+
+// Whether a CRS (EPSG code, proj string or WKT) is WGS 84 longitude/latitude
+// Projected WKT embeds its geographic CRS, so check for that first
+export function isWgs84(crs) {
+  if (/^\s*PROJ(?:CS|CRS)\[/i.test(crs) || /\+proj=(?!longlat)/.test(crs)) return false;
+  return /EPSG[:"\s,]*4326\b|CRS84|^\s*GEOG(?:CS|CRS)\["WGS 84"|\+proj=longlat.*\+datum=WGS84/i.test(crs);
+}
+
+// Guess the format from the file name and contents
+export function detectGcpFormat(text, filename = '') {
+  const trimmed = text.trimStart();
+  if (/^<VRTDataset\b/i.test(trimmed) || /<GCPList\b/i.test(text) || /\.vrt$/i.test(filename)) return 'vrt';
+  if (/(^|\s)-gcp\s/.test(text) || /^\s*GCP\[\s*\d+\]:/m.test(text)) return 'gdal';
+  if (/\.points$/i.test(filename) || /^#CRS:/m.test(text) || /^mapX\s*,/im.test(text)) return 'qgis';
+  return 'esri';
+}
+
+// Parse a GCP file; throws for unreadable files, returns per-row problems in `errors`
+export function parseGcpFile(text, filename = '') {
+  const format = detectGcpFormat(text, filename);
+  const parsers = { qgis: parseQgisPoints, vrt: parseVrtGcps, gdal: parseGdalGcpOptions, esri: parseEsriLinkTable };
+  return { format, ...parsers[format](text) };
+}
+
+function toNumbers(values) {
+  return values.map(v => (v.trim() === '' ? NaN : Number(v)));
+}
+
+// QGIS georeferencer: optional "#CRS: <wkt>", a header, then mapX,mapY,sourceX,sourceY,enable,...
+// Source Y counts downwards from the top as negative numbers
+export function parseQgisPoints(text) {
+  const gcps = [];
+  const errors = [];
+  let crs = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (line.startsWith('#CRS:')) {
+      crs = line.slice(5).trim();
+      return;
+    }
+    if (!line.trim() || line.startsWith('#') || /^\s*mapX/i.test(line)) return;
+
+    const values = toNumbers(line.split(/[,\t]/));
+    const [lon, lat, sourceX, sourceY, enable = 1] = values;
+    if (values.length < 4 || ![lon, lat, sourceX, sourceY].every(Number.isFinite)) {
+      errors.push(`Line ${lineNumber}: expected mapX,mapY,sourceX,sourceY`);
+      return;
+    }
+    if (enable === 0) return;
+    gcps.push({ x: sourceX, y: -sourceY, lon, lat, source: `Line ${lineNumber}` });
+  });
+
+  return { gcps, errors, crs };
+}
+
+// <GCPList Projection="..."><GCP Id="1" Pixel="100" Line="200" X="77.55" Y="13.05"/></GCPList>
+export function parseVrtGcps(text) {
+  let document;
+  try {
+    document = parseXml(text);
+  } catch (error) {
+    if (error instanceof MaskParseError) throw new Error(`Invalid VRT: ${error.message}`);
+    throw error;
+  }
+
+  const gcpList = findElement(document, 'GCPList');
+  if (!gcpList) throw new Error('VRT has no GCPList');
+
+  const gcps = [];
+  const errors = [];
+  gcpList.children.filter(child => child.name === 'GCP').forEach((gcp, index) => {
+    const { Id, Pixel, Line, X, Y } = gcp.attributes;
+    const [x, y, lon, lat] = toNumbers([Pixel ?? '', Line ?? '', X ?? '', Y ?? '']);
+    if (![x, y, lon, lat].every(Number.isFinite)) {
+      errors.push(`GCP ${Id || index + 1}: needs numeric Pixel, Line, X and Y`);
+      return;
+    }
+    gcps.push({ x, y, lon, lat, source: `GCP ${Id || index + 1}` });
+  });
+
+  return { gcps, errors, crs: gcpList.attributes.Projection || null };
+}
+
+function findElement(element, name) {
+  for (const child of element.children) {
+    if (child.name === name) return child;
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+}
+
+// gdal_translate options (-gcp <pixel> <line> <easting> <northing> [<elevation>], optionally with -a_srs)
+// or gdalinfo output (GCP[  0]: Id=1, Info=  (pixel,line) -> (easting,northing,elevation))
+export function parseGdalGcpOptions(text) {
+  const gcps = [];
+  const errors = [];
+  const pattern = /-gcp\s+(\S+)\s+(\S+)\s+(\S+)\s+(\S+)|\(([^,()]+),([^,()]+)\)\s*->\s*\(([^,()]+),([^,()]+)/g;
+  let match;
+  let index = 0;
+
+  while ((match = pattern.exec(text)) !== null) {
+    index++;
+    const values = match[1] !== undefined ? match.slice(1, 5) : match.slice(5, 9);
+    const [x, y, lon, lat] = toNumbers(values);
+    if (![x, y, lon, lat].every(Number.isFinite)) {
+      errors.push(`GCP ${index}: expected pixel, line, easting and northing`);
+      continue;
+    }
+    gcps.push({ x, y, lon, lat, source: `GCP ${index}` });
+  }
+
+  const srs = text.match(/-a_srs\s+("[^"]*"|'[^']*'|\S+)/);
+  return { gcps, errors, crs: srs ? srs[1].replace(/^["']|["']$/g, '') : null };
+}
+
+// ArcGIS link table: [id] sourceX sourceY mapX mapY, separated by tabs or spaces
+// Image space Y points up, so rows below the top-left are negative
+export function parseEsriLinkTable(text) {
+  const rows = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    const values = toNumbers(line.trim().split(/[\s,;]+/));
+    if ((values.length !== 4 && values.length !== 5) || !values.every(Number.isFinite)) {
+      errors.push(`Line ${index + 1}: expected [id] sourceX sourceY mapX mapY`);
+      return;
+    }
+    const [sourceX, sourceY, lon, lat] = values.slice(-4);
+    rows.push({ sourceX, sourceY, lon, lat, source: `Line ${index + 1}` });
+  });
+
+  // Files saved from a referenced raster use positive rows; treat an all-negative Y column as image space
+  const flip = rows.length > 0 && rows.every(r => r.sourceY <= 0);
+  const gcps = rows.map(({ sourceX, sourceY, lon, lat, source }) => ({ x: sourceX, y: flip ? -sourceY : sourceY, lon, lat, source }));
+  return { gcps, errors, crs: null };
+}
+
+// Check imported GCPs against the image size and WGS 84 ranges
+// Returns the GCPs that passed plus every problem found; `warnings` don't drop GCPs
+// A CRS other than WGS 84 is an error that drops every GCP, as its coordinates can't be used as longitude/latitude
+export function validateGcps({ gcps, errors = [], crs = null }, { width, height }) {
+  const valid = [];
+  const problems = [...errors];
+  const warnings = [];
+
+  if (crs && !isWgs84(crs)) {
+    problems.push(`Coordinates are in ${crs.length > 60 ? crs.slice(0, 60) + '…' : crs}; only WGS 84 longitude/latitude can be imported`);
+    return { gcps: [], errors: problems, warnings };
+  }
+
+  for (const gcp of gcps) {
+    if (gcp.x < 0 || gcp.x > width || gcp.y < 0 || gcp.y > height) {
+      problems.push(`${gcp.source}: pixel ${gcp.x},${gcp.y} is outside the ${width}×${height} image`);
+    } else if (Math.abs(gcp.lon) > 180 || Math.abs(gcp.lat) > 90) {
+      problems.push(`${gcp.source}: ${gcp.lon},${gcp.lat} is not a longitude/latitude`);
+    } else {
+      valid.push({ x: gcp.x, y: gcp.y, lon: gcp.lon, lat: gcp.lat });
+    }
+  }
+
+  if (valid.length < 3) {
+    warnings.push(`Only ${valid.length} valid GCPs; at least 3 are needed to warp`);
+  }
+  return { gcps: valid, errors: problems, warnings };
+}
@@ -0,0 +1,34 @@
+/**
+ * Types for geometry.js, so the worker can import the parsers the sync UI uses
+ */
+
+/** [x, y] points without the closing point */
+export type Ring = number[][];
+/** Outer ring first, then holes */
+export type Polygon = Ring[];
+export type MultiPolygon = Polygon[];
+
+export interface XmlElement {
+  name: string;
+  attributes: Record<string, string>;
+  children: XmlElement[];
+  text: string;
+}
+
+export declare class MaskParseError extends Error {
+  constructor(message: string);
+}
+
+export declare function parseXml(text: string): XmlElement;
+export declare function parseGmlCoordinates(
+  text: string,
+  separators?: { decimal?: string; cs?: string; ts?: string }
+): Ring;
+export declare function parseGmlPosList(text: string, dimension?: number): Ring;
+export declare function parseGmlMask(gml: string): MultiPolygon | null;
+export declare function parseSvgPoints(text: string): Ring;
+export declare function parseSvgPath(d: string): Ring[];
+export declare function parseSvgMask(svg: string): MultiPolygon;
+export declare function ringArea(ring: Ring): number;
+export declare function pointInRing(point: number[], ring: Ring): boolean;
+export declare function largestOuterRing(multiPolygon: MultiPolygon): Ring;
@@ -0,0 +1,339 @@
+/**
+ * Mask geometry shared by the worker and the sync UI
+ * Parses MapWarper GML masks and Allmaps SVG selectors into multi-polygons
+ *
+ * A ring is a list of [x, y] points without the closing point, a polygon is a list of rings
+ * (the outer ring first, then holes) and a multi-polygon is a list of polygons.
+ * No DOM is needed, so this runs unchanged in Workers and browsers.
+ */
+
+export class MaskParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MaskParseError';
+  }
+}
+
+const NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+
+// Minimal XML reader: elements, attributes and text; enough for GML and SVG masks
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokenPattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let consumed = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(text)) !== null) {
+    if (match.index !== consumed) break;
+    consumed = tokenPattern.lastIndex;
+    const [, cdata, closeName, openName, attributeText, selfClosing, textContent] = match;
+    const current = stack[stack.length - 1];
+
+    if (openName) {
+      const attributes = {};
+      for (const [, name, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(attributePattern)) {
+        attributes[name] = doubleQuoted ?? singleQuoted;
+      }
+      const element = { name: openName, attributes, children: [], text: '' };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    } else if (closeName) {
+      if (stack.length === 1 || current.name !== closeName) {
+        throw new MaskParseError(`Unexpected </${closeName}>`);
+      }
+      stack.pop();
+    } else if (cdata !== undefined || textContent !== undefined) {
+      current.text += cdata ?? textContent;
+    }
+  }
+
+  if (consumed !== text.length) {
+    throw new MaskParseError(`Malformed XML at offset ${consumed}`);
+  }
+  if (stack.length > 1) {
+    throw new MaskParseError(`Unclosed <${stack[stack.length - 1].name}>`);
+  }
+  return root;
+}
+
+// Element name without namespace prefix
+function localName(element) {
+  return element.name.slice(element.name.indexOf(':') + 1);
+}
+
+// Depth-first search for elements named `name`, not descending into matches
+function findElements(element, name, results = []) {
+  for (const child of element.children) {
+    if (localName(child) === name) {
+      results.push(child);
+    } else {
+      findElements(child, name, results);
+    }
+  }
+  return results;
+}
+
+function findChild(element, ...names) {
+  return element.children.find(child => names.includes(localName(child))) || null;
+}
+
+function toNumber(value, context) {
+  const number = Number(value);
+  if (value === '' || !Number.isFinite(number)) {
+    throw new MaskParseError(`Invalid number "${value}" in ${context}`);
+  }
+  return number;
+}
+
+// Drop the closing point and check the ring still has an area
+function openRing(points, context) {
+  const ring = [...points];
+  if (ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]) {
+    ring.pop();
+  }
+  if (ring.length < 3) {
+    throw new MaskParseError(`${context} has fewer than 3 points`);
+  }
+  return ring;
+}
+
+// <gml:coordinates decimal="." cs="," ts=" ">x,y x,y ...</gml:coordinates>
+// Also accepts spaces around the coordinate separator ("x, y x, y")
+export function parseGmlCoordinates(text, { decimal = '.', cs = ',', ts = ' ' } = {}) {
+  let normalized = text.trim();
+  if (decimal !== '.') normalized = normalized.split(decimal).join('.');
+  const csPattern = new RegExp(`\\s*${cs.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`, 'g');
+  normalized = normalized.replace(csPattern, cs);
+  const tuples = /^\s+$/.test(ts) ? normalized.split(/\s+/) : normalized.split(ts).map(t => t.trim());
+
+  return tuples.filter(Boolean).map(tuple => {
+    const values = tuple.split(cs);
+    if (values.length < 2) {
+      throw new MaskParseError(`Coordinate "${tuple}" has no Y value`);
+    }
+    return [toNumber(values[0], 'gml:coordinates'), toNumber(values[1], 'gml:coordinates')];
+  });
+}
+
+// <gml:posList srsDimension="2">x y x y ...</gml:posList>
+export function parseGmlPosList(text, dimension = 2) {
+  const values = text.trim().split(/\s+/).filter(Boolean).map(v => toNumber(v, 'gml:posList'));
+  if (values.length % dimension !== 0) {
+    throw new MaskParseError(`gml:posList has ${values.length} values, not a multiple of ${dimension}`);
+  }
+  const points = [];
+  for (let i = 0; i < values.length; i += dimension) {
+    points.push([values[i], values[i + 1]]);
+  }
+  return points;
+}
+
+function parseGmlRing(ring) {
+  const coordinates = findChild(ring, 'coordinates');
+  if (coordinates) {
+    return openRing(parseGmlCoordinates(coordinates.text, coordinates.attributes), 'gml:LinearRing');
+  }
+  const posList = findChild(ring, 'posList');
+  if (posList) {
+    const dimension = Number(posList.attributes.srsDimension || posList.attributes.dimension || 2);
+    return openRing(parseGmlPosList(posList.text, dimension), 'gml:LinearRing');
+  }
+  const positions = ring.children.filter(child => localName(child) === 'pos');
+  if (positions.length > 0) {
+    return openRing(positions.map(pos => {
+      const [x, y = ''] = pos.text.trim().split(/\s+/);
+      return [toNumber(x, 'gml:pos'), toNumber(y, 'gml:pos')];
+    }), 'gml:LinearRing');
+  }
+  throw new MaskParseError('gml:LinearRing has no coordinates, posList or pos');
+}
+
+// Rings of a boundary element (outerBoundaryIs/exterior or innerBoundaryIs/interior)
+function parseGmlBoundary(boundary) {
+  const rings = findElements(boundary, 'LinearRing');
+  if (rings.length === 0) {
+    throw new MaskParseError(`gml:${localName(boundary)} has no gml:LinearRing`);
+  }
+  return rings.map(parseGmlRing);
+}
+
+function parseGmlPolygon(polygon) {
+  const exterior = findChild(polygon, 'outerBoundaryIs', 'exterior');
+  if (!exterior) {
+    throw new MaskParseError('gml:Polygon has no outer boundary');
+  }
+  const holes = polygon.children
+    .filter(child => ['innerBoundaryIs', 'interior'].includes(localName(child)))
+    .flatMap(parseGmlBoundary);
+  return [parseGmlBoundary(exterior)[0], ...holes];
+}
+
+// Parse a MapWarper GML mask (the crop tool's .gml.ol file)
+// Every gml:Polygon becomes a polygon (covering MultiPolygon/MultiSurface and multiple features);
+// rings outside any polygon become polygons of their own. Returns null when there is no geometry.
+export function parseGmlMask(gml) {
+  const polygons = [];
+  const visit = element => {
+    for (const child of element.children) {
+      if (localName(child) === 'Polygon') polygons.push(parseGmlPolygon(child));
+      else if (localName(child) === 'LinearRing') polygons.push([parseGmlRing(child)]);
+      else visit(child);
+    }
+  };
+  visit(parseXml(gml));
+  return polygons.length > 0 ? polygons : null;
+}
+
+// Points of an SVG polygon/polyline "points" attribute ("x,y x,y", "x y x y" or "x, y, x, y")
+export function parseSvgPoints(text) {
+  const values = (text.match(NUMBER_PATTERN) || []).map(Number);
+  if (values.length % 2 !== 0) {
+    throw new MaskParseError('SVG points has an odd number of values');
+  }
+  const points = [];
+  for (let i = 0; i < values.length; i += 2) {
+    points.push([values[i], values[i + 1]]);
+  }
+  return points;
+}
+
+// Rings of an SVG path "d" attribute; only straight segments (M, L, H, V, Z) are supported
+export function parseSvgPath(d) {
+  const tokens = d.match(/[a-zA-Z]|[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g) || [];
+  const rings = [];
+  let ring = null;
+  let command = null;
+  let x = 0;
+  let y = 0;
+  let i = 0;
+
+  const next = () => {
+    const value = tokens[i++];
+    if (value === undefined || /[a-zA-Z]/.test(value)) {
+      throw new MaskParseError(`SVG path command ${command} is missing a number`);
+    }
+    return Number(value);
+  };
+  const closeRing = () => {
+    if (ring) rings.push(openRing(ring, 'SVG path'));
+    ring = null;
+  };
+
+  while (i < tokens.length) {
+    if (/[a-zA-Z]/.test(tokens[i])) {
+      command = tokens[i++];
+    } else if (!command || command === 'Z' || command === 'z') {
+      throw new MaskParseError(`Unexpected number "${tokens[i]}" in SVG path`);
+    }
+    const relative = command === command.toLowerCase();
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        closeRing();
+        x = next() + (relative ? x : 0);
+        y = next() + (relative ? y : 0);
+        ring = [[x, y]];
+        // Further pairs after a moveto are linetos
+        command = relative ? 'l' : 'L';
+        continue;
+      case 'L':
+        x = next() + (relative ? x : 0);
+        y = next() + (relative ? y : 0);
+        break;
+      case 'H':
+        x = next() + (relative ? x : 0);
+        break;
+      case 'V':
+        y = next() + (relative ? y : 0);
+        break;
+      case 'Z':
+        if (ring) [x, y] = ring[0];
+        closeRing();
+        continue;
+      default:
+        throw new MaskParseError(`SVG path command ${command} (curves and arcs) is not supported`);
+    }
+    if (ring) ring.push([x, y]);
+    else ring = [[x, y]];
+  }
+  closeRing();
+  return rings;
+}
+
+// Parse an SVG mask (an Allmaps SvgSelector value) with polygon, polyline, path and rect elements
+// Every element becomes a polygon; subpaths of a path that lie inside another subpath become its holes
+export function parseSvgMask(svg) {
+  const document = parseXml(svg);
+  const polygons = [];
+
+  const visit = element => {
+    for (const child of element.children) {
+      const { attributes } = child;
+      switch (localName(child)) {
+        case 'polygon':
+        case 'polyline':
+          polygons.push([openRing(parseSvgPoints(attributes.points || ''), `SVG ${localName(child)}`)]);
+          break;
+        case 'path':
+          polygons.push(...groupRings(parseSvgPath(attributes.d || '')));
+          break;
+        case 'rect': {
+          const [x, y, width, height] = ['x', 'y', 'width', 'height'].map(name => toNumber(attributes[name] ?? '0', 'SVG rect'));
+          polygons.push([[[x, y], [x + width, y], [x + width, y + height], [x, y + height]]]);
+          break;
+        }
+        default:
+          visit(child);
+      }
+    }
+  };
+  visit(document);
+
+  if (polygons.length === 0) {
+    throw new MaskParseError('SVG has no polygon, path or rect');
+  }
+  return polygons;
+}
+
+// Shoelace area (absolute)
+export function ringArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[(i + 1) % ring.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(area) / 2;
+}
+
+// Even-odd point in ring test
+export function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Nest rings into polygons: a ring inside a larger ring is that ring's hole
+function groupRings(rings) {
+  const polygons = [];
+  for (const ring of [...rings].sort((a, b) => ringArea(b) - ringArea(a))) {
+    const outer = polygons.find(polygon => pointInRing(ring[0], polygon[0]));
+    if (outer) outer.push(ring);
+    else polygons.push([ring]);
+  }
+  return polygons;
+}
+
+// Outer ring of the largest polygon; Allmaps resource masks and MapWarper's single-ring consumers use this
+export function largestOuterRing(multiPolygon) {
+  return multiPolygon.reduce((largest, polygon) =>
+    ringArea(polygon[0]) > ringArea(largest) ? polygon[0] : largest, multiPolygon[0][0]);
+}
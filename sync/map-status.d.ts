@@ -0,0 +1,15 @@
+/**
+ * Types for map-status.js
+ */
+
+export type MapType = "is_map" | "index" | "not_map";
+
+export interface ImageUnavailability {
+  status: 409 | 503;
+  reason: string;
+}
+
+export declare const MAP_TYPES: Record<MapType, string>;
+export declare const LOADING_RETRY_AFTER: number;
+
+export declare function imageUnavailability(map: { status: string; width: number; height: number }): ImageUnavailability | null;
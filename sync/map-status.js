@@ -0,0 +1,23 @@
+/**
+ * Map availability
+ * Whether MapWarper has an image the bridge can serve for a map, shared by the worker and the sync UI
+ */
+
+// MapWarper map_type values as the UI names them
+export const MAP_TYPES = {
+  is_map: 'Map',
+  index: 'Index sheet',
+  not_map: 'Not a map',
+};
+
+// Seconds to wait before asking again about a map whose image is still loading
+export const LOADING_RETRY_AFTER = 60;
+
+// Why the bridge can't serve a map's image, or null when it can
+// `status` is what the worker answers with: 503 while MapWarper loads the image, 409 when there is none
+export function imageUnavailability({ status, width, height }) {
+  if (status === 'loading') return { status: 503, reason: 'MapWarper is still loading its image' };
+  if (status === 'unloaded') return { status: 409, reason: 'its image has not been loaded into MapWarper' };
+  if (!width || !height) return { status: 409, reason: 'MapWarper reports no image size' };
+  return null;
+}
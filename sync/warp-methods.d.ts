@@ -0,0 +1,15 @@
+/**
+ * Types for warp-methods.js, so the worker maps warp methods the same way the sync UI does
+ */
+
+import type { GeoreferencedMap } from "@allmaps/annotation";
+
+export type WarpMethod = "auto" | "p1" | "p2" | "p3" | "tps";
+export type AllmapsTransformation = NonNullable<GeoreferencedMap["transformation"]>;
+
+export declare const WARP_METHODS: readonly WarpMethod[];
+
+export declare function autoPolynomialOrder(gcpCount: number): 1 | 2;
+export declare function toAllmapsTransformation(method: WarpMethod, gcpCount: number): AllmapsTransformation;
+export declare function toWarpMethod(transformation?: AllmapsTransformation | null): WarpMethod;
+export declare function parseWarpMethod(value: unknown): WarpMethod;
@@ -0,0 +1,37 @@
+/**
+ * Warp methods shared by the worker and the sync UI
+ * Converts between MapWarper warp methods (transform_options) and Allmaps transformations
+ */
+
+// MapWarper warp methods, as accepted by transform_options
+export const WARP_METHODS = ['auto', 'p1', 'p2', 'p3', 'tps'];
+
+// Polynomial order GDAL picks for "auto" warps, based on the number of GCPs
+// GDAL never picks 3rd order on its own (gdal_crs.cpp: "avoid 3rd order since it is unstable")
+export function autoPolynomialOrder(gcpCount) {
+  return gcpCount < 6 ? 1 : 2;
+}
+
+// Allmaps transformation matching how MapWarper warps a map
+export function toAllmapsTransformation(method, gcpCount) {
+  if (method === 'tps') return { type: 'thinPlateSpline' };
+  const order = { p1: 1, p2: 2, p3: 3 }[method] ?? autoPolynomialOrder(gcpCount);
+  return { type: 'polynomial', options: { order } };
+}
+
+// MapWarper warp method closest to an Allmaps transformation
+// Allmaps defaults to a first order polynomial; types MapWarper can't render fall back to it too
+export function toWarpMethod(transformation) {
+  if (transformation?.type === 'thinPlateSpline') return 'tps';
+  if (transformation?.type === 'polynomial') {
+    const order = Number(transformation.options?.order ?? 1);
+    if (order === 2) return 'p2';
+    if (order === 3) return 'p3';
+  }
+  return 'p1';
+}
+
+// Warp method from MapWarper metadata, defaulting to "auto"
+export function parseWarpMethod(value) {
+  return WARP_METHODS.includes(value) ? value : 'auto';
+}
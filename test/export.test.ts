@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import type { GeoreferencedMap } from "@allmaps/annotation";
+import { fitGeoTransform, isAffine, scaleGeoTransform, toGeoJson, toQgisPoints, toVrt, toWorldFile } from "../src/export.js";
+import { ExportError } from "../src/types.js";
+
+// 0.001° per pixel east and 0.0005° per pixel south of 10°E 50°N, without rotation
+const gcps: GeoreferencedMap["gcps"] = [
+  { resource: [0, 0], geo: [10, 50] },
+  { resource: [1000, 0], geo: [11, 50] },
+  { resource: [0, 2000], geo: [10, 49] },
+  { resource: [1000, 2000], geo: [11, 49] },
+];
+
+const georeferencedMap = {
+  type: "GeoreferencedMap",
+  "@context": "https://schemas.allmaps.org/map/2/context.json",
+  resource: { id: "https://bridge.example/mapwarper/maps/1/iiif", type: "ImageService3", width: 1000, height: 2000 },
+  gcps,
+  resourceMask: [[0, 0], [1000, 0], [1000, 2000], [0, 2000]],
+  transformation: { type: "polynomial", options: { order: 1 } },
+} as GeoreferencedMap;
+
+describe("fitGeoTransform", () => {
+  it("recovers an exact affine georeference", () => {
+    const transform = fitGeoTransform(gcps);
+    [10, 0.001, 0, 50, 0, -0.0005].forEach((expected, i) => expect(transform[i]).toBeCloseTo(expected, 9));
+  });
+
+  it("rejects collinear GCPs", () => {
+    const collinear = gcps.map(({ geo }, i) => ({ resource: [i * 10, i * 10] as [number, number], geo }));
+    expect(() => fitGeoTransform(collinear)).toThrow(ExportError);
+  });
+});
+
+describe("toWorldFile", () => {
+  it("refers to the centre of the top-left pixel", () => {
+    const lines = toWorldFile([10, 0.001, 0, 50, 0, -0.0005]).trim().split("\n").map(Number);
+    expect(lines).toEqual([0.001, 0, 0, -0.0005, 10.0005, 49.99975]);
+  });
+});
+
+describe("toQgisPoints", () => {
+  it("writes negative pixel rows", () => {
+    const lines = toQgisPoints(georeferencedMap).trim().split("\n");
+    expect(lines[0]).toMatch(/^#CRS: GEOGCS\["WGS 84"/);
+    expect(lines[1]).toBe("mapX,mapY,sourceX,sourceY,enable,dX,dY,residual");
+    expect(lines[4]).toBe("10,49,0,-2000,1,0,0,0");
+  });
+});
+
+describe("toGeoJson", () => {
+  it("refuses maps with too few GCPs for their transformation", () => {
+    const twoGcps = { ...georeferencedMap, gcps: georeferencedMap.gcps.slice(0, 2) };
+    expect(() => toGeoJson(twoGcps)).toThrow(ExportError);
+    expect(() => toGeoJson({ ...georeferencedMap, transformation: { type: "polynomial", options: { order: 2 } } })).toThrow(
+      "needs at least 6 GCPs"
+    );
+  });
+
+  it("transforms the mask and lists GCPs as points", () => {
+    const { features } = toGeoJson(georeferencedMap) as { features: { properties: { kind: string }; geometry: { coordinates: number[][][] } }[] };
+    const [ring] = features[0].geometry.coordinates;
+
+    expect(features[0].properties.kind).toBe("mask");
+    expect(ring).toHaveLength(5);
+    expect(ring[0]).toEqual(ring[4]);
+    expect(ring[2][0]).toBeCloseTo(11, 9);
+    expect(ring[2][1]).toBeCloseTo(49, 9);
+    expect(features.filter(f => f.properties.kind === "gcp")).toHaveLength(4);
+  });
+});
+
+describe("scaleGeoTransform", () => {
+  it("keeps the corners in place for a scaled down image", () => {
+    const full = { width: 4000, height: 3000 };
+    const scaled = scaleGeoTransform([10, 0.001, 0.0002, 50, 0.0001, -0.0005], full, { width: 1000, height: 750 });
+    expect(scaled).toEqual([10, 0.004, 0.0008, 50, 0.0004, -0.002]);
+  });
+});
+
+describe("toVrt", () => {
+  it("reads the image through /vsicurl/ with the geotransform", () => {
+    const vrt = toVrt([10, 0.001, 0, 50, 0, -0.0005], "https://bridge.example/img?a=1&b=2", { width: 1000, height: 2000 });
+    expect(vrt).toContain('<VRTDataset rasterXSize="1000" rasterYSize="2000">');
+    expect(vrt).toContain("<GeoTransform>10, 0.001, 0, 50, 0, -0.0005</GeoTransform>");
+    expect(vrt).toContain("/vsicurl/https://bridge.example/img?a=1&amp;b=2");
+    expect(vrt.match(/<VRTRasterBand/g)).toHaveLength(3);
+  });
+});
+
+describe("isAffine", () => {
+  it("accepts only first order polynomials", () => {
+    expect(isAffine(georeferencedMap)).toBe(true);
+    expect(isAffine({ ...georeferencedMap, transformation: { type: "thinPlateSpline" } })).toBe(false);
+    expect(isAffine({ ...georeferencedMap, transformation: { type: "polynomial", options: { order: 2 } } })).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import { detectGcpFormat, isWgs84, parseGcpFile, validateGcps } from "../sync/gcp-import.js";
+import { toQgisPoints } from "../src/export.js";
+import type { GeoreferencedMap } from "@allmaps/annotation";
+
+const image = { width: 4000, height: 3000 };
+const expected = [
+  { x: 100, y: 200, lon: 77.55, lat: 13.05 },
+  { x: 3900, y: 250, lon: 77.68, lat: 13.04 },
+  { x: 2000, y: 2800, lon: 77.61, lat: 12.93 },
+];
+
+function importFile(text: string, filename?: string) {
+  const parsed = parseGcpFile(text, filename);
+  return { format: parsed.format, ...validateGcps(parsed, image) };
+}
+
+describe("parseGcpFile", () => {
+  it("reads the bridge's own QGIS export", () => {
+    const points = toQgisPoints({
+      gcps: expected.map(({ x, y, lon, lat }) => ({ resource: [x, y], geo: [lon, lat] })),
+    } as GeoreferencedMap);
+
+    expect(importFile(points, "map-1001.points")).toEqual({ format: "qgis", gcps: expected, errors: [], warnings: [] });
+  });
+
+  it("skips disabled QGIS points and reads the older pixelX header", () => {
+    const text = "mapX,mapY,pixelX,pixelY,enable\n77.55,13.05,100,-200,1\n1,1,1,-1,0\n77.68,13.04,3900,-250,1\n77.61,12.93,2000,-2800,1\n";
+    expect(importFile(text).gcps).toEqual(expected);
+  });
+
+  it("reads a VRT GCPList", () => {
+    const vrt = `<VRTDataset rasterXSize="4000" rasterYSize="3000">
+      <GCPList Projection="EPSG:4326">
+        <GCP Id="1" Info="" Pixel="100" Line="200" X="77.55" Y="13.05" Z="0"/>
+        <GCP Id="2" Info="" Pixel="3900" Line="250" X="77.68" Y="13.04" Z="0"/>
+        <GCP Id="3" Info="" Pixel="2000" Line="2800" X="77.61" Y="12.93" Z="0"/>
+      </GCPList>
+    </VRTDataset>`;
+    expect(importFile(vrt, "map.vrt")).toEqual({ format: "vrt", gcps: expected, errors: [], warnings: [] });
+  });
+
+  it("reads gdal_translate -gcp options and gdalinfo listings", () => {
+    const options = "gdal_translate -a_srs EPSG:4326 -gcp 100 200 77.55 13.05 -gcp 3900 250 77.68 13.04 -gcp 2000 2800 77.61 12.93 0 in.tif out.tif";
+    expect(importFile(options).gcps).toEqual(expected);
+
+    const gdalinfo = "GCP[  0]: Id=1, Info=\n          (100,200) -> (77.55,13.05,0)\nGCP[  1]: Id=2, Info=\n          (3900,250) -> (77.68,13.04,0)\nGCP[  2]: Id=3, Info=\n          (2000,2800) -> (77.61,12.93,0)\n";
+    expect(importFile(gdalinfo)).toMatchObject({ format: "gdal", gcps: expected });
+  });
+
+  it("reads ESRI link tables with and without link IDs", () => {
+    expect(importFile("100\t-200\t77.55\t13.05\n3900\t-250\t77.68\t13.04\n2000\t-2800\t77.61\t12.93\n")).toMatchObject({
+      format: "esri",
+      gcps: expected,
+    });
+    expect(importFile("1 100 200 77.55 13.05\n2 3900 250 77.68 13.04\n3 2000 2800 77.61 12.93").gcps).toEqual(expected);
+  });
+});
+
+describe("validateGcps", () => {
+  it("reports points outside the image, malformed rows and too few GCPs", () => {
+    const result = importFile("#CRS: EPSG:4326\nmapX,mapY,sourceX,sourceY\n77.55,13.05,100,-200\n77.6,13,5000,-10\nnot,a,gcp,row\n");
+
+    expect(result.gcps).toEqual([expected[0]]);
+    expect(result.errors).toEqual([
+      "Line 5: expected mapX,mapY,sourceX,sourceY",
+      "Line 4: pixel 5000,10 is outside the 4000×3000 image",
+    ]);
+    expect(result.warnings).toEqual(["Only 1 valid GCPs; at least 3 are needed to warp"]);
+  });
+
+  it("rejects every GCP of a projected coordinate system", () => {
+    const result = importFile("-a_srs EPSG:32643 -gcp 100 200 500000 1440000");
+    expect(result.gcps).toEqual([]);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toContain("EPSG:32643");
+  });
+
+  it("rejects projected coordinates that happen to fall in longitude/latitude range", () => {
+    const result = importFile("-a_srs EPSG:3857 -gcp 100 200 77.5 13 -gcp 3900 250 77.6 13 -gcp 2000 2800 77.6 12.9");
+    expect(result.gcps).toEqual([]);
+    expect(result.errors[0]).toContain("EPSG:3857");
+  });
+});
+
+describe("isWgs84", () => {
+  it("tells geographic WGS 84 from projected CRSs that embed it", () => {
+    expect(isWgs84('GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]]]')).toBe(true);
+    expect(isWgs84('PROJCS["WGS 84 / UTM zone 43N",GEOGCS["WGS 84",AUTHORITY["EPSG","4326"]]]')).toBe(false);
+    expect(isWgs84("+proj=longlat +datum=WGS84 +no_defs")).toBe(true);
+  });
+});
+
+describe("detectGcpFormat", () => {
+  it("falls back to the ESRI link table", () => {
+    expect(detectGcpFormat("1 2 3 4")).toBe("esri");
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it } from "vitest";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { largestOuterRing, MaskParseError, parseGmlCoordinates, parseGmlMask, parseSvgMask, parseSvgPath } from "../sync/geometry.js";
+import { toGmlMask } from "../src/mask.js";
+
+const fixture = (name: string) => readFileSync(join(import.meta.dirname, "fixtures", name), "utf-8");
+
+describe("parseGmlMask", () => {
+  it("reads the crop tool's GML", () => {
+    expect(parseGmlMask(fixture("mask-1001.gml.ol"))).toEqual([
+      [[[50, 2950], [3950, 2950], [3950, 50], [50, 50]]],
+    ]);
+  });
+
+  it("reads back the GML written for the mask download", () => {
+    const ring = [[10, 20], [30, 20], [30, 40.5]];
+    expect(parseGmlMask(toGmlMask([[ring]]))).toEqual([[ring]]);
+  });
+
+  it("reads multi-polygons with holes and posList coordinates", () => {
+    const gml = `
+      <gml:MultiSurface xmlns:gml="http://www.opengis.net/gml/3.2">
+        <gml:surfaceMember>
+          <gml:Polygon>
+            <gml:exterior><gml:LinearRing><gml:posList srsDimension="3">0 0 0 100 0 0 100 100 0 0 100 0 0 0 0</gml:posList></gml:LinearRing></gml:exterior>
+            <gml:interior><gml:LinearRing><gml:posList>10 10 20 10 20 20 10 10</gml:posList></gml:LinearRing></gml:interior>
+          </gml:Polygon>
+        </gml:surfaceMember>
+        <gml:surfaceMember>
+          <gml:Polygon>
+            <gml:exterior><gml:LinearRing><gml:pos>200 0</gml:pos><gml:pos>300 0</gml:pos><gml:pos>300 50</gml:pos></gml:LinearRing></gml:exterior>
+          </gml:Polygon>
+        </gml:surfaceMember>
+      </gml:MultiSurface>`;
+
+    expect(parseGmlMask(gml)).toEqual([
+      [
+        [[0, 0], [100, 0], [100, 100], [0, 100]],
+        [[10, 10], [20, 10], [20, 20]],
+      ],
+      [[[200, 0], [300, 0], [300, 50]]],
+    ]);
+  });
+
+  it("returns null for a feature collection without geometry", () => {
+    expect(parseGmlMask('<wfs:FeatureCollection xmlns:wfs="http://www.opengis.net/wfs"/>')).toBeNull();
+  });
+
+  it("reports malformed XML and coordinates", () => {
+    expect(() => parseGmlMask("<gml:Polygon><gml:outerBoundaryIs>")).toThrow(MaskParseError);
+    expect(() => parseGmlMask(fixture("mask-1001.gml.ol").replace("3950,50", "3950,north"))).toThrow(/Invalid number "north"/);
+    expect(() => parseGmlMask("<gml:LinearRing><gml:coordinates>0,0 1,1</gml:coordinates></gml:LinearRing>")).toThrow(/fewer than 3 points/);
+  });
+});
+
+describe("parseGmlCoordinates", () => {
+  it("accepts spaces around the coordinate separator and custom separators", () => {
+    expect(parseGmlCoordinates(" 1, 2  3 ,4 ")).toEqual([[1, 2], [3, 4]]);
+    expect(parseGmlCoordinates("1,5;2 3,5;4", { decimal: ",", cs: ";", ts: " " })).toEqual([[1.5, 2], [3.5, 4]]);
+  });
+});
+
+describe("parseSvgMask", () => {
+  it("reads Allmaps polygon selectors with either separator style", () => {
+    expect(parseSvgMask('<svg width="10" height="10"><polygon points="0,0 10,0 10,10" /></svg>')).toEqual([
+      [[[0, 0], [10, 0], [10, 10]]],
+    ]);
+    expect(parseSvgMask("<svg><polygon points='0 0, 10 0, 10 10, 0 0'/></svg>")).toEqual([
+      [[[0, 0], [10, 0], [10, 10]]],
+    ]);
+  });
+
+  it("turns nested path subpaths into holes and separate elements into parts", () => {
+    const svg = '<svg><path d="M0 0 H100 V100 H0 Z m10 10 l10 0 l0 10 z"/><rect x="200" y="0" width="5" height="5"/></svg>';
+    expect(parseSvgMask(svg)).toEqual([
+      [
+        [[0, 0], [100, 0], [100, 100], [0, 100]],
+        [[10, 10], [20, 10], [20, 20]],
+      ],
+      [[[200, 0], [205, 0], [205, 5], [200, 5]]],
+    ]);
+  });
+
+  it("rejects curves and SVGs without shapes", () => {
+    expect(() => parseSvgPath("M0 0 C 10 10 20 20 30 0 Z")).toThrow(/not supported/);
+    expect(() => parseSvgMask("<svg></svg>")).toThrow(MaskParseError);
+  });
+});
+
+describe("largestOuterRing", () => {
+  it("picks the outer ring with the largest area", () => {
+    const small = [[0, 0], [1, 0], [1, 1]];
+    const large = [[0, 0], [10, 0], [10, 10]];
+    expect(largestOuterRing([[small], [large, small]])).toBe(large);
+  });
+});
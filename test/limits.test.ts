@@ -0,0 +1,14 @@
+import { describe, expect, it } from "vitest";
+import { getImageLimits } from "../src/limits.js";
+
+describe("getImageLimits", () => {
+  it("uses defaults for missing or invalid values and turns limits off with 0", () => {
+    expect(getImageLimits({})).toEqual({ maxWidth: 8192, maxHeight: 8192, maxArea: 10_000_000, wmsMaxSize: 2048 });
+    expect(getImageLimits({ IMAGE_MAX_WIDTH: "0", IMAGE_MAX_AREA: "abc", WMS_MAX_SIZE: "0" })).toEqual({
+      maxWidth: undefined,
+      maxHeight: undefined,
+      maxArea: 10_000_000,
+      wmsMaxSize: 2048,
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import { toIiifMask } from "../src/georef.js";
+import { fromIiifMask, parseResourceMask, toGmlMask } from "../src/mask.js";
+import { SyncRequestError } from "../src/types.js";
+
+describe("fromIiifMask", () => {
+  it("undoes the Y flip of mask.json", () => {
+    const maskCoords = [[50, 2950], [3950, 2950], [3950, 50]];
+    expect(fromIiifMask(toIiifMask(maskCoords, 3000), 3000)).toEqual(maskCoords);
+  });
+});
+
+describe("toGmlMask", () => {
+  it("writes a closed ring in the crop tool's coordinate format", () => {
+    const gml = toGmlMask([[[[0, 0], [10, 0], [10, 5.5]]]]);
+    expect(gml).toContain('<gml:coordinates decimal="." cs="," ts=" ">0,0 10,0 10,5.5 0,0</gml:coordinates>');
+    expect(gml).toContain("<wfs:FeatureCollection");
+  });
+
+  it("writes a feature per polygon with its holes as inner boundaries", () => {
+    const gml = toGmlMask([
+      [[[0, 0], [100, 0], [100, 100]], [[10, 10], [20, 10], [20, 20]]],
+      [[[200, 0], [300, 0], [300, 100]]],
+    ]);
+    expect(gml.match(/<gml:featureMember>/g)).toHaveLength(2);
+    expect(gml).toContain("<gml:innerBoundaryIs>");
+  });
+});
+
+describe("parseResourceMask", () => {
+  it("accepts numeric strings", () => {
+    expect(parseResourceMask([["1", "2"], [3, 4], [5, 6]])).toEqual([[[[1, 2], [3, 4], [5, 6]]]]);
+  });
+
+  it("keeps every polygon and hole of a multi-polygon", () => {
+    const mask = [[[[0, 0], [9, 0], [9, 9]], [[1, 1], [2, 1], [2, 2]]], [[[20, 0], [29, 0], [29, 9]]]];
+    expect(parseResourceMask(mask)).toEqual(mask);
+  });
+
+  it("rejects rings with fewer than 3 points", () => {
+    expect(() => parseResourceMask([[[[0, 0], [9, 0], [9, 9]], [[1, 1], [2, 1]]]])).toThrow(SyncRequestError);
+  });
+
+  it("rejects non-numeric points", () => {
+    expect(() => parseResourceMask([[1, 2], [3, 4], { x: 5, y: 6 }])).toThrow(SyncRequestError);
+  });
+});
@@ -0,0 +1,54 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { configureMetadataCache, KvStore, MetadataCache } from "../src/metadata-cache.js";
+
+/**
+ * In-memory KV namespace counting writes
+ */
+function fakeKv() {
+  const values = new Map<string, string>();
+  const kv = {
+    puts: 0,
+    async get(key: string) {
+      const value = values.get(key);
+      return value === undefined ? null : JSON.parse(value);
+    },
+    async put(key: string, value: string) {
+      kv.puts++;
+      values.set(key, value);
+    },
+    async delete(key: string) {
+      values.delete(key);
+    },
+  } satisfies KvStore & { puts: number };
+  return kv;
+}
+
+afterEach(() => {
+  configureMetadataCache({});
+});
+
+describe("MetadataCache", () => {
+  it("shares entries through KV", async () => {
+    const kv = fakeKv();
+    configureMetadataCache({ kv, ttl: "300" });
+
+    await new MetadataCache<string>("test-shared", 10).set("a", "value");
+    expect(await new MetadataCache<string>("test-shared", 10).get("a")).toBe("value");
+    expect(kv.puts).toBe(1);
+  });
+
+  it("doesn't write unshared entries or unchanged values to KV", async () => {
+    const kv = fakeKv();
+    configureMetadataCache({ kv, ttl: "300" });
+
+    await new MetadataCache<string>("test-local", 10, { shared: false }).set("a", "value");
+    expect(kv.puts).toBe(0);
+
+    const cache = new MetadataCache<{ id: string }>("test-refresh", 10);
+    await cache.set("a", { id: "1" });
+    await cache.set("a", { id: "1" });
+    expect(kv.puts).toBe(1);
+    await cache.set("a", { id: "2" });
+    expect(kv.puts).toBe(2);
+  });
+});
@@ -0,0 +1,134 @@
+import { describe, expect, it } from "vitest";
+import { convertV2Size, parseFormat, parseQuality, parseRegion, parseRotation, parseSize } from "../src/params.js";
+import { IIIFRequestError } from "../src/types.js";
+
+/** Assert that `fn` throws an IIIFRequestError with the given status */
+function expectStatus(fn: () => unknown, status: 400 | 501) {
+  let error: unknown;
+  try {
+    fn();
+  } catch (e) {
+    error = e;
+  }
+  expect(error).toBeInstanceOf(IIIFRequestError);
+  expect((error as IIIFRequestError).status).toBe(status);
+}
+
+describe("parseRegion", () => {
+  it("resolves full and square", () => {
+    expect(parseRegion("full", 400, 300)).toEqual({ x: 0, y: 0, width: 400, height: 300 });
+    expect(parseRegion("square", 400, 300)).toEqual({ x: 50, y: 0, width: 300, height: 300 });
+    expect(parseRegion("square", 300, 400)).toEqual({ x: 0, y: 50, width: 300, height: 300 });
+  });
+
+  it("resolves pixel and percentage regions", () => {
+    expect(parseRegion("10,20,30,40", 400, 300)).toEqual({ x: 10, y: 20, width: 30, height: 40 });
+    expect(parseRegion("pct:50,50,50,50", 400, 300)).toEqual({ x: 200, y: 150, width: 200, height: 150 });
+  });
+
+  it("crops regions extending past the image", () => {
+    expect(parseRegion("300,200,500,500", 400, 300)).toEqual({ x: 300, y: 200, width: 100, height: 100 });
+  });
+
+  it("rejects malformed, empty and out-of-bounds regions", () => {
+    expectStatus(() => parseRegion("10,20,30", 400, 300), 400);
+    expectStatus(() => parseRegion("NaN,0,10,10", 400, 300), 400);
+    expectStatus(() => parseRegion("pct:a,b,c,d", 400, 300), 400);
+    expectStatus(() => parseRegion("-1,0,10,10", 400, 300), 400);
+    expectStatus(() => parseRegion("0,0,0,10", 400, 300), 400);
+    expectStatus(() => parseRegion("400,0,10,10", 400, 300), 400);
+    expectStatus(() => parseRegion("10.5,20,30,40", 400, 300), 400);
+    expectStatus(() => parseRegion("pct:10,20,30", 400, 300), 400);
+    expectStatus(() => parseRegion("pct:-10,0,50,50", 400, 300), 400);
+    expectStatus(() => parseRegion("Full", 400, 300), 400);
+  });
+});
+
+describe("parseSize", () => {
+  it("resolves max and width/height forms", () => {
+    expect(parseSize("max", 400, 300)).toEqual({ width: 400, height: 300 });
+    expect(parseSize("200,", 400, 300)).toEqual({ width: 200, height: 150 });
+    expect(parseSize(",150", 400, 300)).toEqual({ width: 200, height: 150 });
+    expect(parseSize("100,100", 400, 300)).toEqual({ width: 100, height: 100 });
+    expect(parseSize("pct:25", 400, 300)).toEqual({ width: 100, height: 75 });
+  });
+
+  it("fits !w,h within the box without upscaling", () => {
+    expect(parseSize("!200,200", 400, 300)).toEqual({ width: 200, height: 150 });
+    expect(parseSize("!800,800", 400, 300)).toEqual({ width: 400, height: 300 });
+    expect(parseSize("^!800,800", 400, 300)).toEqual({ width: 800, height: 600 });
+  });
+
+  it("requires ^ to upscale", () => {
+    expectStatus(() => parseSize("800,", 400, 300), 400);
+    expectStatus(() => parseSize("pct:150", 400, 300), 400);
+    expect(parseSize("^800,", 400, 300)).toEqual({ width: 800, height: 600 });
+    expect(parseSize("^pct:150", 400, 300)).toEqual({ width: 600, height: 450 });
+    expect(parseSize("^max", 400, 300, { maxWidth: 800 })).toEqual({ width: 800, height: 600 });
+  });
+
+  it("rejects malformed and zero sizes", () => {
+    expectStatus(() => parseSize(",", 400, 300), 400);
+    expectStatus(() => parseSize("abc", 400, 300), 400);
+    expectStatus(() => parseSize("0,", 400, 300), 400);
+    expectStatus(() => parseSize("200.5,", 400, 300), 400);
+    expectStatus(() => parseSize("!200,", 400, 300), 400);
+    expectStatus(() => parseSize("pct:", 400, 300), 400);
+    expectStatus(() => parseSize("200,100,50", 400, 300), 400);
+  });
+
+  it("applies server limits", () => {
+    expect(parseSize("max", 4000, 3000, { maxWidth: 1000 })).toEqual({ width: 1000, height: 750 });
+    expectStatus(() => parseSize("2000,", 4000, 3000, { maxWidth: 1000 }), 400);
+    expect(parseSize("max", 4000, 3000, { maxHeight: 600 })).toEqual({ width: 800, height: 600 });
+    expectStatus(() => parseSize(",1000", 4000, 3000, { maxHeight: 600 }), 400);
+    expect(parseSize("max", 4000, 3000, { maxArea: 120000 })).toEqual({ width: 400, height: 300 });
+    expectStatus(() => parseSize("1000,", 4000, 3000, { maxArea: 120000 }), 400);
+  });
+
+  it("rejects the 2.1 full keyword", () => {
+    expectStatus(() => parseSize("full", 400, 300), 400);
+  });
+});
+
+describe("convertV2Size", () => {
+  it("maps IIIF 2.1 sizes to 3.0 syntax", () => {
+    expect(convertV2Size("full")).toBe("pct:100");
+    expect(convertV2Size("max")).toBe("max");
+    expect(convertV2Size("200,")).toBe("^200,");
+    expect(convertV2Size("!200,200")).toBe("^!200,200");
+    expectStatus(() => convertV2Size("^200,"), 400);
+  });
+});
+
+describe("parseRotation", () => {
+  it("accepts multiples of 90 with optional mirroring", () => {
+    expect(parseRotation("0")).toEqual({ degrees: 0, mirror: false });
+    expect(parseRotation("!270")).toEqual({ degrees: 270, mirror: true });
+    expect(parseRotation("360")).toEqual({ degrees: 0, mirror: false });
+    expect(parseRotation("90.0")).toEqual({ degrees: 90, mirror: false });
+  });
+
+  it("rejects invalid rotations with 400 and arbitrary angles with 501", () => {
+    expectStatus(() => parseRotation("-90"), 400);
+    expectStatus(() => parseRotation("450"), 400);
+    expectStatus(() => parseRotation("!!90"), 400);
+    expectStatus(() => parseRotation(""), 400);
+    expectStatus(() => parseRotation("45"), 501);
+  });
+});
+
+describe("parseQuality and parseFormat", () => {
+  it("accepts supported qualities", () => {
+    expect(["default", "color", "gray", "bitonal"].map(parseQuality)).toEqual(["default", "color", "gray", "bitonal"]);
+    expectStatus(() => parseQuality("Gray"), 400);
+    expectStatus(() => parseQuality("sepia"), 400);
+  });
+
+  it("maps formats to MIME types", () => {
+    expect(parseFormat("jpg")).toBe("image/jpeg");
+    expect(parseFormat("PNG")).toBe("image/png");
+    expectStatus(() => parseFormat("jp2"), 501);
+    expectStatus(() => parseFormat("bmp"), 400);
+  });
+});
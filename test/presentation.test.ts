@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { parseBbox } from "../src/mapwarper.js";
+import { metadataLink, parseNavDate } from "../src/presentation.js";
+
+describe("parseNavDate", () => {
+  it("uses the first year in date_depicted, with its month and day when valid", () => {
+    expect(parseNavDate("1885")).toBe("1885-01-01T00:00:00Z");
+    expect(parseNavDate("1885-03-12")).toBe("1885-03-12T00:00:00Z");
+    expect(parseNavDate("c. 1880s")).toBe("1880-01-01T00:00:00Z");
+    expect(parseNavDate("1885-1890")).toBe("1885-01-01T00:00:00Z");
+    expect(parseNavDate("1885-02-30")).toBe("1885-02-01T00:00:00Z");
+    expect(parseNavDate("")).toBeUndefined();
+    expect(parseNavDate("undated")).toBeUndefined();
+  });
+});
+
+describe("parseBbox", () => {
+  it("parses west,south,east,north and rejects empty or degenerate boxes", () => {
+    expect(parseBbox("77.5,12.9,77.7,13.1")).toEqual([77.5, 12.9, 77.7, 13.1]);
+    expect(parseBbox(null)).toBeNull();
+    expect(parseBbox("0,0,0,0")).toBeNull();
+    expect(parseBbox("77.5,12.9")).toBeNull();
+  });
+});
+
+describe("metadataLink", () => {
+  it("links web URLs and leaves other text alone", () => {
+    expect(metadataLink("https://example.org/maps?id=1&page=2")).toBe(
+      '<a href="https://example.org/maps?id=1&amp;page=2">https://example.org/maps?id=1&amp;page=2</a>'
+    );
+    expect(metadataLink("Library archive, box 3")).toBe("Library archive, box 3");
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it } from "vitest";
+import { computeQuality, computeTransformationQuality } from "../src/quality.js";
+import { metresBetween } from "../sync/gcp-diff.js";
+
+// An affine grid: polynomial1 fits it exactly
+const affineGcps = [[0, 0], [1000, 0], [0, 1000], [1000, 1000], [500, 500]].map(([x, y]) => ({
+  resource: [x, y] as [number, number],
+  geo: [4.9 + x * 0.0001, 52.4 - y * 0.00006] as [number, number],
+}));
+
+describe("metresBetween", () => {
+  it("measures great-circle distance", () => {
+    // One degree of latitude is ~111.2 km
+    expect(metresBetween([0, 0], [0, 1])).toBeCloseTo(111195, -1);
+  });
+});
+
+describe("computeTransformationQuality", () => {
+  it("reports zero residuals for a perfect affine fit", () => {
+    const quality = computeTransformationQuality(affineGcps, "polynomial1");
+    if ("error" in quality) throw new Error(quality.error);
+
+    expect(quality.residuals).toHaveLength(5);
+    expect(quality.rmsMetres).toBeLessThan(0.01);
+    expect(quality.rmsPixels).toBeLessThan(0.01);
+  });
+
+  it("singles out a misplaced GCP", () => {
+    const gcps = affineGcps.map((gcp, i) => i === 4 ? { ...gcp, geo: [gcp.geo[0] + 0.001, gcp.geo[1]] as [number, number] } : gcp);
+    const quality = computeTransformationQuality(gcps, "polynomial1");
+    if ("error" in quality) throw new Error(quality.error);
+
+    const worst = quality.residuals.reduce((a, b) => (b.metres > a.metres ? b : a));
+    expect(worst.resource).toEqual([500, 500]);
+    expect(quality.rmsMetres).toBeGreaterThan(10);
+  });
+
+  it("reports transformations that need more GCPs", () => {
+    expect(computeTransformationQuality(affineGcps, "polynomial2")).toEqual({
+      type: "polynomial2",
+      error: "polynomial2 needs at least 6 GCPs",
+    });
+  });
+});
+
+describe("computeQuality", () => {
+  it("covers all transformation types by default", () => {
+    const quality = computeQuality(affineGcps);
+    expect(quality.gcpCount).toBe(5);
+    expect(quality.transformations.map(t => t.type)).toEqual(["polynomial1", "polynomial2", "polynomial3", "thinPlateSpline"]);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createCanvas, needsStitching, pasteChunk, planChunks } from "../src/stitch.js";
+
+describe("planChunks", () => {
+  it("covers the output with chunks no larger than the WMS size", () => {
+    const chunks = planChunks({ x: 100, y: 200, width: 3000, height: 1500 }, { width: 1500, height: 750 }, 1000);
+
+    expect(chunks.map(({ left, top, size }) => [left, top, size.width, size.height])).toEqual([
+      [0, 0, 1000, 750],
+      [1000, 0, 500, 750],
+    ]);
+    expect(chunks[1].region).toEqual({ x: 2100, y: 200, width: 1000, height: 1500 });
+  });
+
+  it("only stitches outputs above the WMS size", () => {
+    expect(needsStitching({ width: 2048, height: 2048 }, 2048)).toBe(false);
+    expect(needsStitching({ width: 100, height: 2049 }, 2048)).toBe(true);
+  });
+});
+
+describe("pasteChunk", () => {
+  it("copies rows to the chunk offset and clips at the edges", () => {
+    const canvas = createCanvas({ width: 3, height: 2 });
+    const chunk = { width: 2, height: 2, data: new Uint8Array(16).fill(255) };
+    pasteChunk(canvas, chunk, 2, 1);
+
+    const alpha = Array.from({ length: 6 }, (_, i) => canvas.data[i * 4 + 3]);
+    expect(alpha).toEqual([0, 0, 0, 0, 0, 255]);
+  });
+});
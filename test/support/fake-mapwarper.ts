@@ -0,0 +1,217 @@
+/**
+ * Local MapWarper stand-in
+ * Serves fixture JSON, GML masks and generated WMS images over HTTP, and records GCP and mask writes
+ * The maps and layers indexes list the map-*.json and layer-*.json fixtures, and a layer's maps listing its member map fixtures
+ * LARGE_LAYER_ID stands in for a layer too large to georeference in one request
+ * Allmaps annotations are served under /allmaps/
+ */
+
+import { createServer, IncomingMessage, ServerResponse } from "node:http";
+import { AddressInfo } from "node:net";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import { encode as encodePng } from "fast-png";
+
+const FIXTURES_DIR = join(import.meta.dirname, "..", "fixtures");
+
+/** Map ID whose metadata requests fail with a 500 */
+export const FAILING_MAP_ID = "9500";
+
+/** Layer (a copy of layer 2001) whose map listing repeats map 1001 LARGE_LAYER_SIZE times */
+export const LARGE_LAYER_ID = "2900";
+export const LARGE_LAYER_SIZE = 300;
+
+/** The only API key accepted for write requests */
+export const API_KEY = "test-api-key";
+
+export interface RecordedWrite {
+  method: string;
+  path: string;
+  body: unknown;
+}
+
+/** Response replacing a request's usual one */
+export interface FakeFailure {
+  status: number;
+  headers?: Record<string, string>;
+  /** Milliseconds to wait before responding */
+  delay?: number;
+}
+
+export interface FakeMapWarper {
+  baseUrl: string;
+  /** Paths (with query) of every request received */
+  requests: string[];
+  /** Authenticated write requests that succeeded */
+  writes: RecordedWrite[];
+  /** Answer the next `count` requests for `path` (without query) with `failure` */
+  failNext(path: string, count: number, failure: FakeFailure): void;
+  close(): Promise<void>;
+}
+
+function readFixture(name: string): string | null {
+  const path = join(FIXTURES_DIR, name);
+  return existsSync(path) ? readFileSync(path, "utf-8") : null;
+}
+
+function send(res: ServerResponse, status: number, body: string | Uint8Array, contentType: string) {
+  res.writeHead(status, { "Content-Type": contentType });
+  res.end(body);
+}
+
+function sendFixture(res: ServerResponse, name: string, contentType = "application/json") {
+  const fixture = readFixture(name);
+  if (fixture === null) {
+    send(res, 404, JSON.stringify({ errors: [{ title: "Not found" }] }), "application/json");
+  } else {
+    send(res, 200, fixture, contentType);
+  }
+}
+
+/**
+ * Page of the maps or layers index built from fixtures, filtered like MapWarper's ?query= and ?show_warped=1
+ * `names` lists the fixtures in order instead of all of them with the prefix
+ */
+function listing(url: URL, prefix: "map" | "layer", names?: string[]): string {
+  const query = url.searchParams.get("query")?.toLowerCase();
+  const page = parseInt(url.searchParams.get("page") || "1", 10);
+  const perPage = parseInt(url.searchParams.get("per_page") || "50", 10);
+
+  const items = (names ?? readdirSync(FIXTURES_DIR).filter(name => name.startsWith(`${prefix}-`) && name.endsWith(".json")))
+    .map(name => readFixture(name))
+    .filter(fixture => fixture !== null)
+    .map(fixture => JSON.parse(fixture).data)
+    .filter(item => !query || (item.attributes.title ?? item.attributes.name).toLowerCase().includes(query))
+    .filter(item => url.searchParams.get("show_warped") !== "1" || item.attributes.status === "warped");
+
+  return JSON.stringify({
+    data: items.slice((page - 1) * perPage, page * perPage),
+    meta: { total_entries: items.length, total_pages: Math.ceil(items.length / perPage) },
+  });
+}
+
+/**
+ * Solid grey PNG of the requested WMS size
+ */
+function wmsImage(url: URL): Uint8Array {
+  const width = parseInt(url.searchParams.get("WIDTH") || "1", 10);
+  const height = parseInt(url.searchParams.get("HEIGHT") || "1", 10);
+  const data = new Uint8Array(width * height * 4).fill(128);
+  return encodePng({ width, height, data, channels: 4, depth: 8 });
+}
+
+async function readBody(req: IncomingMessage): Promise<unknown> {
+  const chunks: Buffer[] = [];
+  for await (const chunk of req) chunks.push(chunk);
+  const text = Buffer.concat(chunks).toString("utf-8");
+  if (req.headers["content-type"]?.startsWith("application/x-www-form-urlencoded")) {
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+  return text ? JSON.parse(text) : null;
+}
+
+async function handleWrite(req: IncomingMessage, res: ServerResponse, writes: RecordedWrite[]) {
+  const path = new URL(req.url || "/", "http://localhost").pathname;
+  const method = req.method || "GET";
+
+  if (req.headers["x-api-key"] !== API_KEY) {
+    return send(res, 401, JSON.stringify({ errors: [{ title: "Unauthorized" }] }), "application/json");
+  }
+
+  if (method === "POST" && path === "/api/v1/gcps") {
+    writes.push({ method, path, body: await readBody(req) });
+    return send(res, 201, JSON.stringify({ data: { id: `new-${writes.length}`, type: "gcps" } }), "application/json");
+  }
+  if (path.match(/^\/api\/v1\/gcps\/[\w-]+$/) && (method === "PATCH" || method === "DELETE")) {
+    writes.push({ method, path, body: await readBody(req) });
+    return send(res, 200, JSON.stringify({}), "application/json");
+  }
+  if (method === "POST" && path.match(/^\/api\/v1\/maps\/\d+\/rectify$/)) {
+    writes.push({ method, path, body: await readBody(req) });
+    return send(res, 200, JSON.stringify({}), "application/json");
+  }
+
+  send(res, 404, "Not found", "text/plain");
+}
+
+function handle(req: IncomingMessage, res: ServerResponse) {
+  const url = new URL(req.url || "/", "http://localhost");
+  const path = url.pathname;
+  let match: RegExpMatchArray | null;
+
+  if (path === "/api/v1/maps" || path === "/api/v1/layers") {
+    return send(res, 200, listing(url, path === "/api/v1/maps" ? "map" : "layer"), "application/json");
+  }
+  if ((match = path.match(/^\/api\/v1\/maps\/(\d+)(?:\.json)?$/))) {
+    if (match[1] === FAILING_MAP_ID) {
+      return send(res, 500, "Internal Server Error", "text/plain");
+    }
+    return sendFixture(res, `map-${match[1]}.json`);
+  }
+  if ((match = path.match(/^\/api\/v1\/maps\/(\d+)\/gcps$/))) {
+    return sendFixture(res, `gcps-${match[1]}.json`);
+  }
+  if (path === `/api/v1/layers/${LARGE_LAYER_ID}/maps`) {
+    return send(res, 200, listing(url, "map", Array(LARGE_LAYER_SIZE).fill("map-1001.json")), "application/json");
+  }
+  if (path === `/api/v1/layers/${LARGE_LAYER_ID}.json`) {
+    return send(res, 200, readFixture("layer-2001.json")!.replace(/"2001"/g, `"${LARGE_LAYER_ID}"`), "application/json");
+  }
+  if ((match = path.match(/^\/api\/v1\/layers\/(\d+)\/maps$/))) {
+    // Member maps without a fixture stand for maps deleted since, which MapWarper no longer lists
+    const layer = readFixture(`layer-${match[1]}.json`);
+    if (layer === null) return sendFixture(res, `layer-${match[1]}.json`);
+    const mapIds: string[] = JSON.parse(layer).data.relationships.maps.data.map((m: { id: string }) => m.id);
+    return send(res, 200, listing(url, "map", mapIds.map(id => `map-${id}.json`)), "application/json");
+  }
+  if ((match = path.match(/^\/api\/v1\/layers\/(\d+)(?:\.json)?$/))) {
+    return sendFixture(res, `layer-${match[1]}.json`);
+  }
+  if ((match = path.match(/^\/mapimages\/(\d+)\.gml\.ol$/))) {
+    return sendFixture(res, `mask-${match[1]}.gml.ol`, "text/xml");
+  }
+  if (path === "/allmaps/") {
+    // Allmaps annotation lookup by image service: ?url=.../maps/{id}/iiif/info.json
+    const id = url.searchParams.get("url")?.match(/\/maps\/(\d+)\/iiif\/info\.json$/)?.[1];
+    return sendFixture(res, `allmaps-${id}.json`);
+  }
+  if ((match = path.match(/^\/maps\/wms\/(\d+)$/))) {
+    return send(res, 200, wmsImage(url), "image/png");
+  }
+
+  send(res, 404, "Not found", "text/plain");
+}
+
+/**
+ * Start the stand-in on a random local port
+ */
+export async function startFakeMapWarper(): Promise<FakeMapWarper> {
+  const requests: string[] = [];
+  const writes: RecordedWrite[] = [];
+  const failures = new Map<string, FakeFailure[]>();
+  const server = createServer((req, res) => {
+    requests.push(req.url || "/");
+    const failure = failures.get(new URL(req.url || "/", "http://localhost").pathname)?.shift();
+    if (failure) {
+      setTimeout(() => {
+        res.writeHead(failure.status, { "Content-Type": "text/plain", ...failure.headers });
+        res.end("Failure");
+      }, failure.delay ?? 0);
+    } else if (req.method === "GET") {
+      handle(req, res);
+    } else {
+      handleWrite(req, res, writes);
+    }
+  });
+
+  await new Promise<void>(resolve => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    writes,
+    failNext: (path, count, failure) => failures.set(path, Array.from({ length: count }, () => failure)),
+    close: () => new Promise<void>((resolve, reject) => server.close(err => (err ? reject(err) : resolve()))),
+  };
+}
@@ -0,0 +1,41 @@
+/**
+ * Helpers for calling the worker against the MapWarper stand-in
+ */
+
+import worker from "../../src/worker.js";
+
+export const BRIDGE_ORIGIN = "http://bridge.test";
+
+/**
+ * Worker bindings pointing the default instance and Allmaps at `baseUrl`, with caching disabled
+ * `vars` adds or overrides configuration variables
+ */
+export function createEnv(baseUrl: string, vars: Record<string, string> = {}) {
+  return {
+    ASSETS: { fetch: async () => new Response("asset") },
+    MAPWARPER_INSTANCES: { mapwarper: baseUrl },
+    ALLMAPS_ANNOTATIONS_URL: `${baseUrl}/allmaps`,
+    METADATA_CACHE_TTL: "0",
+    TILE_CACHE_TTL: "0",
+    ...vars,
+  };
+}
+
+/** Work the worker handed to `waitUntil` during the last request */
+export const backgroundTasks: Promise<unknown>[] = [];
+
+const executionCtx = {
+  waitUntil(promise: Promise<unknown>) {
+    backgroundTasks.push(promise);
+  },
+  passThroughOnException() {},
+  props: {},
+};
+
+/**
+ * Send a request for `path` through the worker (GET unless `init` says otherwise)
+ */
+export async function request(env: ReturnType<typeof createEnv>, path: string, init?: RequestInit): Promise<Response> {
+  backgroundTasks.length = 0;
+  return worker.fetch(new Request(`${BRIDGE_ORIGIN}${path}`, init), env, executionCtx);
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from "vitest";
+import { diffGcps, parseSyncGcps } from "../src/sync.js";
+import { SyncRequestError } from "../src/types.js";
+
+const current = [
+  { id: "1", x: 100, y: 200, lon: 77.55, lat: 13.05 },
+  { id: "2", x: 3900, y: 250, lon: 77.68, lat: 13.04 },
+  { id: "3", x: 2000, y: 2800, lon: 77.61, lat: 12.93 },
+];
+
+describe("diffGcps", () => {
+  it("reports identical sets as unchanged", () => {
+    expect(diffGcps(current, current)).toEqual({ create: [], update: [], delete: [], unchanged: 3 });
+  });
+
+  it("pairs GCPs by pixel position", () => {
+    const target = [
+      { x: 100.3, y: 199.7, lon: 77.55, lat: 13.05 },
+      { x: 3900, y: 250, lon: 77.69, lat: 13.04 },
+      { x: 500, y: 500, lon: 77.5, lat: 13.0 },
+    ];
+    const diff = diffGcps(current, target);
+
+    expect(diff.unchanged).toBe(1);
+    expect(diff.update).toMatchObject([{ id: "2", from: current[1], to: target[1] }]);
+    expect(diff.create).toEqual([target[2]]);
+    expect(diff.delete).toEqual([current[2]]);
+  });
+
+  it("turns a GCP moved within the match radius into an update, like the editor's diff table", () => {
+    const target = [{ x: 110, y: 220, lon: 77.55, lat: 13.05 }, ...current.slice(1)];
+    const diff = diffGcps(current, target);
+
+    expect(diff.update).toMatchObject([{ id: "1", from: current[0], to: target[0] }]);
+    expect(diff.update[0].pixelDelta).toBeCloseTo(Math.hypot(10, 20), 9);
+    expect(diff.create).toEqual([]);
+    expect(diff.delete).toEqual([]);
+    expect(diff.unchanged).toBe(2);
+  });
+
+  it("pairs each MapWarper GCP at most once", () => {
+    const target = [
+      { x: 100, y: 200, lon: 77.55, lat: 13.05 },
+      { x: 100.2, y: 200, lon: 77.55, lat: 13.05 },
+    ];
+    const diff = diffGcps([current[0]], target);
+    expect(diff.unchanged).toBe(1);
+    expect(diff.create).toEqual([target[1]]);
+  });
+});
+
+describe("parseSyncGcps", () => {
+  it("accepts numeric strings", () => {
+    expect(parseSyncGcps([{ x: "1", y: 2, lon: "3.5", lat: 4 }])).toEqual([{ x: 1, y: 2, lon: 3.5, lat: 4 }]);
+  });
+
+  it("rejects missing or non-numeric coordinates", () => {
+    expect(() => parseSyncGcps(undefined)).toThrow(SyncRequestError);
+    expect(() => parseSyncGcps([{ x: 1, y: 2, lon: 3 }])).toThrow(SyncRequestError);
+    expect(() => parseSyncGcps([{ x: "a", y: 2, lon: 3, lat: 4 }])).toThrow(SyncRequestError);
+  });
+});
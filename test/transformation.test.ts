@@ -0,0 +1,40 @@
+import { describe, expect, it } from "vitest";
+import { autoPolynomialOrder, parseWarpMethod, toAllmapsTransformation, toWarpMethod } from "../src/transformation.js";
+
+describe("toAllmapsTransformation", () => {
+  it("maps fixed warp methods", () => {
+    expect(toAllmapsTransformation("p2", 3)).toEqual({ type: "polynomial", options: { order: 2 } });
+    expect(toAllmapsTransformation("tps", 3)).toEqual({ type: "thinPlateSpline" });
+  });
+
+  it("resolves auto by GCP count like GDAL, which never picks 3rd order", () => {
+    expect(autoPolynomialOrder(5)).toBe(1);
+    expect(autoPolynomialOrder(6)).toBe(2);
+    expect(autoPolynomialOrder(10)).toBe(2);
+    expect(autoPolynomialOrder(50)).toBe(2);
+    expect(toAllmapsTransformation("auto", 8)).toEqual({ type: "polynomial", options: { order: 2 } });
+    expect(toAllmapsTransformation("auto", 12)).toEqual({ type: "polynomial", options: { order: 2 } });
+  });
+});
+
+describe("toWarpMethod", () => {
+  it("round-trips polynomial orders and thin-plate splines", () => {
+    for (const method of ["p1", "p2", "p3", "tps"] as const) {
+      expect(toWarpMethod(toAllmapsTransformation(method, 10))).toBe(method);
+    }
+  });
+
+  it("falls back to a first order polynomial like Allmaps", () => {
+    expect(toWarpMethod(undefined)).toBe("p1");
+    expect(toWarpMethod({ type: "polynomial" })).toBe("p1");
+    expect(toWarpMethod({ type: "helmert" })).toBe("p1");
+  });
+});
+
+describe("parseWarpMethod", () => {
+  it("defaults unknown values to auto", () => {
+    expect(parseWarpMethod("tps")).toBe("tps");
+    expect(parseWarpMethod(undefined)).toBe("auto");
+    expect(parseWarpMethod("p9")).toBe("auto");
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import { CircuitBreaker, coalesce, mapConcurrently, parseRetryAfter } from "../src/upstream.js";
+
+describe("CircuitBreaker", () => {
+  it("opens after repeated failures and lets one probe through after the cooldown", () => {
+    let now = 0;
+    const breaker = new CircuitBreaker(2, 10_000, () => now);
+
+    breaker.recordFailure();
+    expect(breaker.acquire()).toBe(0);
+    breaker.recordFailure();
+    expect(breaker.acquire()).toBe(10);
+
+    now = 9_500;
+    expect(breaker.acquire()).toBe(1);
+
+    now = 10_000;
+    expect(breaker.acquire()).toBe(0);
+    // Only one probe while half open
+    expect(breaker.acquire()).toBe(1);
+
+    breaker.recordFailure();
+    expect(breaker.acquire()).toBe(10);
+
+    now = 20_000;
+    expect(breaker.acquire()).toBe(0);
+    breaker.recordSuccess();
+    expect(breaker.acquire()).toBe(0);
+  });
+
+  it("resets the failure count on success", () => {
+    const breaker = new CircuitBreaker(2, 10_000, () => 0);
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.acquire()).toBe(0);
+  });
+});
+
+describe("coalesce", () => {
+  it("shares a pending call and forgets it once settled", async () => {
+    let calls = 0;
+    const call = () => coalesce("key", async () => ++calls);
+
+    expect(await Promise.all([call(), call(), call()])).toEqual([1, 1, 1]);
+    expect(await call()).toBe(2);
+  });
+});
+
+describe("mapConcurrently", () => {
+  it("keeps at most `limit` calls in flight and returns results in order", async () => {
+    let inFlight = 0;
+    let most = 0;
+    const results = await mapConcurrently([30, 10, 20, 0, 5], 2, async (ms, index) => {
+      most = Math.max(most, ++inFlight);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      inFlight--;
+      return index;
+    });
+
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+    expect(most).toBe(2);
+  });
+});
+
+describe("parseRetryAfter", () => {
+  it("reads seconds and HTTP dates", () => {
+    const now = Date.parse("2024-01-01T00:00:00Z");
+    expect(parseRetryAfter("120")).toBe(120);
+    expect(parseRetryAfter("Mon, 01 Jan 2024 00:01:00 GMT", now)).toBe(60);
+    expect(parseRetryAfter("soon")).toBeUndefined();
+    expect(parseRetryAfter(null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,792 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it } from "vitest";
+import { decode as decodePng } from "fast-png";
+import { parseGmlMask } from "../sync/geometry.js";
+import { MOSAIC_SUBREQUEST_BUDGET, mosaicSubrequests } from "../src/mosaic.js";
+import { API_KEY, FakeMapWarper, FAILING_MAP_ID, LARGE_LAYER_ID, LARGE_LAYER_SIZE, startFakeMapWarper } from "./support/fake-mapwarper.js";
+import { backgroundTasks, BRIDGE_ORIGIN, createEnv, request } from "./support/worker.js";
+
+let mapwarper: FakeMapWarper;
+let env: ReturnType<typeof createEnv>;
+
+beforeAll(async () => {
+  mapwarper = await startFakeMapWarper();
+  env = createEnv(mapwarper.baseUrl);
+});
+
+afterAll(async () => {
+  await mapwarper.close();
+});
+
+beforeEach(() => {
+  mapwarper.requests.length = 0;
+  mapwarper.writes.length = 0;
+});
+
+function wmsRequests(): URL[] {
+  return mapwarper.requests
+    .filter(path => path.startsWith("/maps/wms/"))
+    .map(path => new URL(path, mapwarper.baseUrl));
+}
+
+describe("info.json", () => {
+  it("describes the image as an IIIF 3.0 image service", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/info.json");
+    expect(res.status).toBe(200);
+
+    const info = await res.json();
+    expect(info).toMatchObject({
+      "@context": "http://iiif.io/api/image/3/context.json",
+      id: `${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif`,
+      type: "ImageService3",
+      profile: "level1",
+      width: 4000,
+      height: 3000,
+    });
+    // 4000×3000 is above the default 10 megapixel limit
+    expect(info.maxArea).toBe(10_000_000);
+    expect(info.maxWidth).toBe(8192);
+    expect(info.sizes[0]).toEqual({ width: 2000, height: 1500 });
+  });
+
+  it("advertises configured size limits in both versions", async () => {
+    const limited = createEnv(mapwarper.baseUrl, { IMAGE_MAX_WIDTH: "3000", IMAGE_MAX_AREA: "0" });
+    const info = await (await request(limited, "/mapwarper/maps/1001/iiif/info.json")).json();
+    expect(info.maxWidth).toBe(3000);
+    expect(info.maxArea).toBeUndefined();
+
+    const info2 = await (await request(limited, "/mapwarper/maps/1001/iiif2/info.json")).json();
+    expect(info2.profile[1].maxWidth).toBe(3000);
+  });
+
+  it("describes the image as an IIIF 2.1 image service", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif2/info.json");
+    const info = await res.json();
+    expect(info["@id"]).toBe(`${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif2`);
+    expect(info.profile[0]).toBe("http://iiif.io/api/image/2/level1.json");
+    expect(info.profile[1].formats).toEqual(["jpg", "png", "gif", "webp", "tif"]);
+  });
+
+  it("advertises the same formats in both versions", async () => {
+    const info = await (await request(env, "/mapwarper/maps/1001/iiif/info.json")).json();
+    expect(info.extraFormats).toEqual(["png", "gif", "webp", "tif"]);
+  });
+
+  it("redirects the base identifier to info.json", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif");
+    expect(res.status).toBe(303);
+    expect(res.headers.get("Location")).toBe("/mapwarper/maps/1001/iiif/info.json");
+  });
+});
+
+describe("error mapping", () => {
+  it("returns 404 for unknown maps", async () => {
+    const res = await request(env, "/mapwarper/maps/404404/iiif/info.json");
+    expect(res.status).toBe(404);
+    expect(await res.json()).toEqual({ error: "Map not found: 404404" });
+  });
+
+  it("returns 404 for unknown layers", async () => {
+    const res = await request(env, "/mapwarper/mosaic/404404/manifest.json");
+    expect(res.status).toBe(404);
+  });
+
+  it("returns 404 for unknown instances", async () => {
+    const res = await request(env, "/elsewhere/maps/1001/iiif/info.json");
+    expect(res.status).toBe(404);
+  });
+
+  it("returns 502 when MapWarper fails", async () => {
+    const res = await request(env, `/mapwarper/maps/${FAILING_MAP_ID}/iiif/info.json`);
+    expect(res.status).toBe(502);
+    expect((await res.json()).error).toMatch(/responded 500 Internal Server Error$/);
+  });
+});
+
+describe("upstream failures", () => {
+  const mapPath = "/api/v1/maps/1001.json";
+
+  it("shares one metadata lookup between concurrent requests", async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => request(env, "/mapwarper/maps/1001/iiif/info.json")));
+
+    expect(responses.map(res => res.status)).toEqual([200, 200, 200, 200, 200]);
+    expect(mapwarper.requests.filter(path => path === mapPath)).toHaveLength(1);
+  });
+
+  it("retries transient failures", async () => {
+    mapwarper.failNext(mapPath, 2, { status: 503 });
+    const res = await request(env, "/mapwarper/maps/1001/iiif/info.json");
+
+    expect(res.status).toBe(200);
+    expect(mapwarper.requests.filter(path => path === mapPath)).toHaveLength(3);
+  });
+
+  it("passes on long Retry-After waits as 503 without retrying", async () => {
+    mapwarper.failNext(mapPath, 1, { status: 503, headers: { "Retry-After": "120" } });
+    const res = await request(env, "/mapwarper/maps/1001/iiif/info.json");
+
+    expect(res.status).toBe(503);
+    expect(res.headers.get("Retry-After")).toBe("120");
+    expect(mapwarper.requests).toHaveLength(1);
+  });
+
+  it("returns 504 when MapWarper does not respond in time", async () => {
+    mapwarper.failNext(mapPath, 3, { status: 200, delay: 500 });
+    const res = await request(createEnv(mapwarper.baseUrl, { UPSTREAM_TIMEOUT: "0.1" }), "/mapwarper/maps/1001/iiif/info.json");
+
+    expect(res.status).toBe(504);
+    expect(mapwarper.requests).toHaveLength(3);
+  });
+
+  it("returns 502 when WMS keeps failing", async () => {
+    mapwarper.failNext("/maps/wms/1001", 3, { status: 502 });
+    const res = await request(env, "/mapwarper/maps/1001/iiif/0,0,512,512/256,/0/default.png");
+
+    expect(res.status).toBe(502);
+    expect(wmsRequests()).toHaveLength(3);
+  });
+});
+
+describe("manifests", () => {
+  it("builds a single-canvas manifest for a map", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.label).toEqual({ en: ["Plan of the City"] });
+    expect(manifest.items).toHaveLength(1);
+    expect(manifest.items[0]).toMatchObject({ type: "Canvas", width: 4000, height: 3000 });
+    expect(manifest.items[0].annotations).toBeUndefined();
+  });
+
+  it("adds navPlace, navDate, thumbnail and MapWarper links to a map manifest", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest["@context"]).toEqual([
+      "http://iiif.io/api/extension/navplace/context.json",
+      "http://iiif.io/api/presentation/3/context.json",
+    ]);
+    expect(manifest.navPlace.features[0].geometry).toEqual({
+      type: "Polygon",
+      coordinates: [[[77.5, 12.9], [77.7, 12.9], [77.7, 13.1], [77.5, 13.1], [77.5, 12.9]]],
+    });
+    expect(manifest.navDate).toBe("1885-01-01T00:00:00Z");
+    expect(manifest.thumbnail[0].id).toBe(`${mapwarper.baseUrl}/maps/thumb/1001`);
+    expect(manifest.homepage[0].id).toBe(`${mapwarper.baseUrl}/maps/1001`);
+    expect(manifest.seeAlso.map((link: { id: string }) => link.id)).toEqual([
+      `${mapwarper.baseUrl}/maps/1001/gcps.csv`,
+      `${mapwarper.baseUrl}/maps/1001.kml`,
+    ]);
+    expect(manifest.provider[0]).toMatchObject({ id: mapwarper.baseUrl, type: "Agent" });
+    expect(manifest.metadata).toContainEqual({
+      label: { en: ["Source"] },
+      value: { en: ['<a href="https://example.org/maps/1001">https://example.org/maps/1001</a>'] },
+    });
+  });
+
+  it("leaves out navPlace, navDate and KML for an unwarped map", async () => {
+    const res = await request(env, "/mapwarper/maps/1002/iiif/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.navPlace).toBeUndefined();
+    expect(manifest.navDate).toBeUndefined();
+    expect(manifest.seeAlso).toHaveLength(1);
+  });
+
+  it("embeds georeferencing with ?georef=true", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/manifest.json?georef=true");
+    const manifest = await res.json();
+
+    const georef = manifest.items[0].annotations[0].items[0];
+    expect(georef.motivation).toBe("georeferencing");
+    expect(georef.body.features).toHaveLength(3);
+  });
+
+  it("builds a canvas per map for a mosaic", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2001/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.label).toEqual({ en: ["City Atlas"] });
+    expect(manifest.items.map((canvas: { width: number }) => canvas.width)).toEqual([4000, 800]);
+  });
+
+  it("places the mosaic and each of its canvases", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2001/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.navPlace.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/mosaic/2001/feature-collection`);
+    expect(manifest.homepage[0].id).toBe(`${mapwarper.baseUrl}/layers/2001`);
+    expect(manifest.seeAlso[0].id).toBe(`${mapwarper.baseUrl}/layers/2001.kml`);
+    expect(manifest.items[0].navPlace.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/mosaic/2001/canvas/1/feature-collection`);
+    expect(manifest.items[0].navDate).toBe("1885-01-01T00:00:00Z");
+    expect(manifest.items[1].navPlace).toBeUndefined();
+  });
+});
+
+describe("collections", () => {
+  it("links the layers, maps and rectified maps collections", async () => {
+    const res = await request(env, "/mapwarper/collection.json");
+    const collection = await res.json();
+
+    expect(collection.type).toBe("Collection");
+    expect(collection.items.map((item: { id: string }) => item.id)).toEqual([
+      `${BRIDGE_ORIGIN}/mapwarper/collection/layers.json`,
+      `${BRIDGE_ORIGIN}/mapwarper/collection/maps.json`,
+      `${BRIDGE_ORIGIN}/mapwarper/collection/maps.json?rectified=1`,
+    ]);
+  });
+
+  it("splits the layers index into page collections", async () => {
+    const res = await request(env, "/mapwarper/collection/layers.json");
+    const collection = await res.json();
+
+    expect(collection.summary).toEqual({ en: ["2 layers"] });
+    expect(collection.items).toEqual([
+      {
+        id: `${BRIDGE_ORIGIN}/mapwarper/collection/layers.json?page=1`,
+        type: "Collection",
+        label: { en: [expect.stringMatching(/^Layers on .+, 1–2$/)] },
+      },
+    ]);
+  });
+
+  it("lists a page of layers as mosaic manifests", async () => {
+    const res = await request(env, "/mapwarper/collection/layers.json?page=1");
+    const collection = await res.json();
+
+    expect(collection.partOf).toEqual([{ id: `${BRIDGE_ORIGIN}/mapwarper/collection/layers.json`, type: "Collection" }]);
+    expect(collection.items).toHaveLength(2);
+    expect(collection.items[0]).toEqual({
+      id: `${BRIDGE_ORIGIN}/mapwarper/mosaic/2001/manifest.json`,
+      type: "Manifest",
+      label: { en: ["City Atlas"] },
+      summary: { en: ["Test mosaic"] },
+    });
+  });
+
+  it("rejects layer pages past the end", async () => {
+    const res = await request(env, "/mapwarper/collection/layers.json?page=2");
+    expect(res.status).toBe(400);
+  });
+
+  it("splits the maps index into page collections", async () => {
+    const res = await request(env, "/mapwarper/collection/maps.json");
+    const collection = await res.json();
+
+    expect(collection.summary).toEqual({ en: ["5 maps"] });
+    expect(collection.items).toEqual([
+      {
+        id: `${BRIDGE_ORIGIN}/mapwarper/collection/maps.json?page=1`,
+        type: "Collection",
+        label: { en: [expect.stringMatching(/^Maps on .+, 1–5$/)] },
+      },
+    ]);
+    expect(mapwarper.requests[0]).toContain("sort_key=updated_at");
+  });
+
+  it("lists a page of maps as manifests with thumbnails", async () => {
+    const res = await request(env, "/mapwarper/collection/maps.json?page=1&rectified=1");
+    const collection = await res.json();
+
+    expect(collection.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/collection/maps.json?rectified=1&page=1`);
+    expect(collection.partOf).toEqual([{ id: `${BRIDGE_ORIGIN}/mapwarper/collection/maps.json?rectified=1`, type: "Collection" }]);
+    expect(collection.items).toHaveLength(1);
+    expect(collection.items[0]).toMatchObject({
+      id: `${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif/manifest.json`,
+      type: "Manifest",
+      label: { en: ["Plan of the City"] },
+    });
+    expect(collection.items[0].thumbnail[0].service[0].id).toBe(`${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif`);
+    expect(mapwarper.requests[0]).toContain("show_warped=1");
+  });
+
+  it("searches maps with ?q=", async () => {
+    const res = await request(env, "/mapwarper/collection/maps.json?q=sheet&page=1");
+    const collection = await res.json();
+
+    expect(collection.label.en[0]).toMatch(/matching "sheet", page 1 of 1$/);
+    expect(collection.items.map((item: { id: string }) => item.id)).toEqual([`${BRIDGE_ORIGIN}/mapwarper/maps/1002/iiif/manifest.json`]);
+    expect(mapwarper.requests[0]).toContain("query=sheet");
+  });
+
+  it("rejects invalid and out of range pages", async () => {
+    expect((await request(env, "/mapwarper/collection/maps.json?page=0")).status).toBe(400);
+    expect((await request(env, "/mapwarper/collection/maps.json?page=5")).status).toBe(400);
+  });
+});
+
+describe("map availability", () => {
+  it("returns 503 with Retry-After while MapWarper loads the image", async () => {
+    const res = await request(env, "/mapwarper/maps/1003/iiif/info.json");
+
+    expect(res.status).toBe(503);
+    expect(res.headers.get("Retry-After")).toBe("60");
+    expect(await res.json()).toEqual({ error: "Map 1003 is not available: MapWarper is still loading its image" });
+  });
+
+  it("returns 409 for maps without an image, before calling WMS", async () => {
+    expect((await request(env, "/mapwarper/maps/1004/iiif/info.json")).status).toBe(409);
+    expect((await request(env, "/mapwarper/maps/1004/iiif/manifest.json")).status).toBe(409);
+
+    const res = await request(env, "/mapwarper/maps/1004/iiif/0,0,10,10/10,/0/default.png");
+    expect(res.status).toBe(409);
+    expect(wmsRequests()).toHaveLength(0);
+  });
+
+  it("leaves maps without an image out of mosaic manifests", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2002/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.items.map((canvas: { label: { en: string[] } }) => canvas.label.en[0])).toEqual(["Plan of the City", "Atlas index"]);
+  });
+
+  it("excludes map types with ?exclude=", async () => {
+    const mosaic = await (await request(env, "/mapwarper/mosaic/2002/manifest.json?exclude=index,not_map")).json();
+    expect(mosaic.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/mosaic/2002/manifest.json?exclude=index,not_map`);
+    expect(mosaic.items).toHaveLength(1);
+
+    const res = await request(env, "/mapwarper/maps/1005/iiif/manifest.json?exclude=index");
+    expect(res.status).toBe(409);
+    expect((await res.json()).error).toBe('Map 1005 is not available: MapWarper marks it as "Index sheet"');
+
+    expect((await request(env, "/mapwarper/maps/1005/iiif/manifest.json?exclude=atlas")).status).toBe(400);
+  });
+});
+
+describe("mosaic paging and failures", () => {
+  it("reads maps from the layer's map listing instead of looking each one up", async () => {
+    await request(env, "/mapwarper/mosaic/2001/manifest.json?refresh=1");
+
+    expect(mapwarper.requests).toContain("/api/v1/layers/2001/maps?page=1&per_page=100");
+    expect(mapwarper.requests.filter(path => path.startsWith("/api/v1/maps/"))).toEqual([]);
+  });
+
+  it("makes the MapWarper requests its subrequest budget counts", async () => {
+    await request(env, "/mapwarper/mosaic/2001/manifest.json?georef=true&refresh=1");
+    expect(mapwarper.requests).toHaveLength(mosaicSubrequests(2, true));
+
+    mapwarper.requests.length = 0;
+    await request(env, "/mapwarper/mosaic/2001/annotation.json?refresh=1");
+    expect(mapwarper.requests).toHaveLength(mosaicSubrequests(2, true));
+
+    mapwarper.requests.length = 0;
+    const res = await request(env, `/mapwarper/mosaic/${LARGE_LAYER_ID}/manifest.json?refresh=1`);
+    expect((await res.json()).items).toHaveLength(LARGE_LAYER_SIZE);
+    expect(mapwarper.requests).toHaveLength(mosaicSubrequests(LARGE_LAYER_SIZE, false));
+  });
+
+  it("reports maps without an image in the manifest metadata", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2002/manifest.json");
+    const manifest = await res.json();
+
+    expect(manifest.metadata).toEqual([
+      {
+        label: { en: ["Skipped maps"] },
+        value: {
+          en: ["skipped (MapWarper is still loading its image): 1003; skipped (its image has not been loaded into MapWarper): 1004"],
+        },
+      },
+    ]);
+  });
+
+  it("skips and reports maps whose georeferencing can't be fetched", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2002/manifest.json?georef=true&exclude=not_map");
+    const manifest = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(manifest.items).toHaveLength(2);
+    expect(manifest.items[0].annotations).toHaveLength(1);
+    expect(manifest.items[1].annotations).toBeUndefined();
+    expect(manifest.metadata[0].value.en[0]).toContain("skipped (not found on MapWarper): 1005");
+  });
+
+  it("asks for pages when georeferencing the whole layer would take too many requests", async () => {
+    expect(mosaicSubrequests(LARGE_LAYER_SIZE, true)).toBeGreaterThan(MOSAIC_SUBREQUEST_BUDGET);
+
+    for (const path of ["manifest.json?georef=true", "annotation.json"]) {
+      mapwarper.requests.length = 0;
+      const res = await request(env, `/mapwarper/mosaic/${LARGE_LAYER_ID}/${path}`);
+
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toContain("?page=");
+      expect(mapwarper.requests.filter(p => p.includes("/gcps") || p.includes("/mapimages/"))).toEqual([]);
+    }
+
+    const page = await request(env, `/mapwarper/mosaic/${LARGE_LAYER_ID}/annotation.json?page=1`);
+    expect(page.status).toBe(200);
+  });
+
+  it("pages and filters the mosaic with ?page= and ?rectified=1", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2001/manifest.json?rectified=1&page=1");
+    const manifest = await res.json();
+
+    expect(manifest.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/mosaic/2001/manifest.json?rectified=1&page=1`);
+    expect(manifest.label).toEqual({ en: ["City Atlas, page 1 of 1"] });
+    expect(manifest.items.map((canvas: { label: { en: string[] } }) => canvas.label.en[0])).toEqual(["Plan of the City"]);
+
+    expect((await request(env, "/mapwarper/mosaic/2001/manifest.json?page=2")).status).toBe(400);
+    expect((await request(env, "/mapwarper/mosaic/2001/manifest.json?page=0")).status).toBe(400);
+  });
+});
+
+describe("mask.json", () => {
+  it("flips MapWarper's bottom-up Y axis to IIIF's top-down axis", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/mask.json");
+    const { coords, polygons } = await res.json();
+
+    // GML ring 50,2950 3950,2950 3950,50 50,50 (closing point dropped) on a 3000px high image
+    expect(coords).toEqual([[50, 50], [3950, 50], [3950, 2950], [50, 2950]]);
+    expect(polygons).toEqual([[coords]]);
+  });
+
+  it("returns 404 when the map has no mask", async () => {
+    const res = await request(env, "/mapwarper/maps/1002/iiif/mask.json");
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("georeference annotations", () => {
+  it("converts MapWarper GCPs and mask", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/annotation.json");
+    const annotation = await res.json();
+
+    expect(annotation.target.source).toMatchObject({
+      id: `${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif`,
+      type: "ImageService3",
+    });
+    expect(annotation.target.selector.value).toContain('points="50,50 3950,50 3950,2950 50,2950"');
+    expect(annotation.body.features[0]).toMatchObject({
+      properties: { resourceCoords: [100, 200] },
+      geometry: { coordinates: [77.55, 13.05] },
+    });
+    // "auto" warps with 3 GCPs use a first order polynomial
+    expect(annotation.body.transformation).toEqual({ type: "polynomial", options: { order: 1 } });
+  });
+
+  it("references the IIIF 2.1 service with ?iiif=2", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/annotation.json?iiif=2");
+    const annotation = await res.json();
+    expect(annotation.target.source.type).toBe("ImageService2");
+    expect(annotation.target.source.id).toBe(`${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif2`);
+  });
+
+  it("returns 404 for maps without GCPs", async () => {
+    const res = await request(env, "/mapwarper/maps/1002/georef/annotation.json");
+    expect(res.status).toBe(404);
+  });
+
+  it("lists maps without GCPs in the mosaic summary", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2001/annotation.json");
+    const page = await res.json();
+    expect(page.items).toHaveLength(1);
+    expect(page.summary.en[0]).toBe("1 of 2 maps georeferenced; skipped (no GCPs): 1002");
+  });
+
+  it("gives the reason for every map left out of a mosaic", async () => {
+    const res = await request(env, "/mapwarper/mosaic/2002/annotation.json");
+    const page = await res.json();
+    expect(page.items).toHaveLength(1);
+    expect(page.summary.en[0]).toBe(
+      "1 of 4 maps georeferenced; skipped (MapWarper is still loading its image): 1003; " +
+      "skipped (its image has not been loaded into MapWarper): 1004; skipped (not found on MapWarper): 1005"
+    );
+  });
+});
+
+describe("image requests", () => {
+  it("translates region and size into a Y-flipped WMS request", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/0,0,512,512/256,/0/default.png");
+    expect(res.status).toBe(200);
+    expect(res.headers.get("Content-Type")).toBe("image/png");
+
+    const [wms] = wmsRequests();
+    expect(wms.searchParams.get("BBOX")).toBe("0,2488,512,3000");
+    expect(wms.searchParams.get("WIDTH")).toBe("256");
+    expect(wms.searchParams.get("HEIGHT")).toBe("256");
+    expect(wms.searchParams.get("STATUS")).toBe("unwarped");
+  });
+
+  it("crops regions extending past the image edge", async () => {
+    await request(env, "/mapwarper/maps/1001/iiif/3584,2560,512,512/max/0/default.png");
+
+    const [wms] = wmsRequests();
+    expect(wms.searchParams.get("BBOX")).toBe("3584,0,4000,440");
+    expect(wms.searchParams.get("WIDTH")).toBe("416");
+    expect(wms.searchParams.get("HEIGHT")).toBe("440");
+  });
+
+  it("keeps tiles in browsers briefly and caches them in the background", async () => {
+    const cachingEnv = createEnv(mapwarper.baseUrl, { TILE_CACHE_TTL: "86400" });
+    const res = await request(cachingEnv, "/mapwarper/maps/1001/iiif/0,0,512,512/256,/0/default.png");
+
+    expect(res.headers.get("Cache-Control")).toBe("public, max-age=300");
+    expect(res.headers.get("X-Cache-Status")).toBe("MISS");
+    expect(backgroundTasks).toHaveLength(1);
+  });
+
+  it("rotates images in the worker", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/0,0,200,100/max/90/gray.png");
+    const png = decodePng(await res.arrayBuffer());
+    expect([png.width, png.height]).toEqual([100, 200]);
+  });
+
+  it("rejects invalid parameters with 400 before calling WMS", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/0,0,512,512/1024,/0/default.png");
+    expect(res.status).toBe(400);
+    expect(wmsRequests()).toHaveLength(0);
+  });
+
+  it("rejects unsupported rotations with 501", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif/full/max/45/default.png");
+    expect(res.status).toBe(501);
+  });
+
+  it("scales full/max down to the size limits", async () => {
+    const limited = createEnv(mapwarper.baseUrl, { IMAGE_MAX_AREA: "3000000", WMS_MAX_SIZE: "1024" });
+    const res = await request(limited, "/mapwarper/maps/1001/iiif/full/max/0/default.png");
+    const png = decodePng(await res.arrayBuffer());
+    expect([png.width, png.height]).toEqual([2000, 1500]);
+    expect(wmsRequests()).toHaveLength(4);
+  });
+
+  it("stitches images larger than the WMS size from chunks", async () => {
+    const chunked = createEnv(mapwarper.baseUrl, { WMS_MAX_SIZE: "1000" });
+    const res = await request(chunked, "/mapwarper/maps/1001/iiif/full/2500,/90/default.png");
+    const png = decodePng(await res.arrayBuffer());
+    expect([png.width, png.height]).toEqual([1875, 2500]);
+
+    // Chunks are fetched concurrently, so compare them in any order
+    const wms = wmsRequests();
+    const sizes = wms.map(url => `${url.searchParams.get("WIDTH")}x${url.searchParams.get("HEIGHT")}`);
+    expect(sizes.sort()).toEqual(["1000x1000", "1000x1000", "1000x875", "1000x875", "500x1000", "500x875"]);
+    // The top-left chunk covers the top-left 1600×1600 image pixels
+    expect(wms.map(url => url.searchParams.get("BBOX"))).toContain("0,1400,1600,3000");
+  });
+
+  it("stitches only formats the worker can encode", async () => {
+    const res = await request(createEnv(mapwarper.baseUrl, { WMS_MAX_SIZE: "1000" }), "/mapwarper/maps/1001/iiif/full/2500,/0/default.tif");
+    expect(res.status).toBe(501);
+    expect(wmsRequests()).toHaveLength(0);
+  });
+
+  it("accepts IIIF 2.1 sizes on the iiif2 endpoints", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/iiif2/0,0,100,100/200,/0/default.png");
+    expect(res.status).toBe(200);
+    expect(wmsRequests()[0].searchParams.get("WIDTH")).toBe("200");
+  });
+
+  it("serves 2.1 full unscaled and refuses it beyond the size limits", async () => {
+    const limited = createEnv(mapwarper.baseUrl, { IMAGE_MAX_WIDTH: "1000" });
+    const res = await request(limited, "/mapwarper/maps/1001/iiif2/0,0,800,600/full/0/default.png");
+    expect(res.status).toBe(200);
+    expect(wmsRequests()[0].searchParams.get("WIDTH")).toBe("800");
+
+    expect((await request(limited, "/mapwarper/maps/1001/iiif2/full/full/0/default.png")).status).toBe(400);
+    expect((await request(limited, "/mapwarper/maps/1001/iiif2/full/max/0/default.png")).status).toBe(200);
+  });
+});
+
+describe("georeference quality", () => {
+  it("reports residuals for MapWarper and Allmaps GCPs", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/quality.json?transformation=polynomial1,polynomial2");
+    const quality = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(quality.mapwarper.gcpCount).toBe(3);
+    expect(quality.mapwarper.transformations[0].residuals).toHaveLength(3);
+    expect(quality.mapwarper.transformations[1].error).toBe("polynomial2 needs at least 6 GCPs");
+    expect(quality.allmaps.gcpCount).toBe(5);
+    expect(quality.allmaps.transformations[0].rmsMetres).toBeGreaterThan(0);
+  });
+
+  it("returns null for sides without GCPs", async () => {
+    const res = await request(env, "/mapwarper/maps/1002/georef/quality.json");
+    expect(await res.json()).toEqual({ mapwarper: null, allmaps: null });
+  });
+
+  it("rejects unknown transformation types", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/quality.json?transformation=helmert");
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("georeferencing exports", () => {
+  it("exports GCPs and the transformed mask as GeoJSON", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/map.geojson");
+    const { features } = await res.json();
+
+    expect(res.headers.get("Content-Type")).toBe("application/geo+json");
+    expect(features[0].geometry.type).toBe("Polygon");
+    expect(features[0].geometry.coordinates[0]).toHaveLength(5);
+    expect(features.slice(1).map((f: { geometry: { coordinates: number[] } }) => f.geometry.coordinates)).toEqual([
+      [77.55, 13.05], [77.68, 13.04], [77.61, 12.93],
+    ]);
+  });
+
+  it("exports a QGIS points file", async () => {
+    const res = await request(env, "/mapwarper/maps/1001/georef/gcps.points");
+    const lines = (await res.text()).trim().split("\n");
+
+    expect(res.headers.get("Content-Disposition")).toContain("map-1001.points");
+    expect(lines.slice(2)).toEqual([
+      "77.55,13.05,100,-200,1,0,0,0",
+      "77.68,13.04,3900,-250,1,0,0,0",
+      "77.61,12.93,2000,-2800,1,0,0,0",
+    ]);
+  });
+
+  it("exports a world file and a VRT for first order warps", async () => {
+    const wld = await request(env, "/mapwarper/maps/1001/georef/map.wld");
+    expect((await wld.text()).trim().split("\n")).toHaveLength(6);
+
+    const vrt = await (await request(env, "/mapwarper/maps/1001/georef/map.vrt")).text();
+    expect(vrt).toContain(`/vsicurl/${BRIDGE_ORIGIN}/mapwarper/maps/1001/iiif/full/3651,2738/0/default.jpg`);
+    expect(vrt).toContain('<VRTDataset rasterXSize="3651" rasterYSize="2738">');
+  });
+
+  it("scales the world file and VRT to the image size served within the limits", async () => {
+    const unlimited = createEnv(mapwarper.baseUrl, { IMAGE_MAX_WIDTH: "0", IMAGE_MAX_AREA: "0" });
+    const limited = createEnv(mapwarper.baseUrl, { IMAGE_MAX_WIDTH: "1000" });
+    const pixelSize = async (testEnv: typeof env) =>
+      Number((await (await request(testEnv, "/mapwarper/maps/1001/georef/map.wld")).text()).split("\n")[0]);
+
+    expect(await pixelSize(limited)).toBeCloseTo(4 * await pixelSize(unlimited), 12);
+
+    const vrt = await (await request(limited, "/mapwarper/maps/1001/georef/map.vrt")).text();
+    expect(vrt).toContain("/iiif/full/1000,750/0/default.jpg");
+    expect(vrt).toContain('<SrcRect xOff="0" yOff="0" xSize="1000" ySize="750"/>');
+
+    const image = await request(limited, "/mapwarper/maps/1001/iiif/full/1000,750/0/default.jpg");
+    expect(image.status).toBe(200);
+  });
+
+  it("returns 404 for maps without GCPs", async () => {
+    const res = await request(env, "/mapwarper/maps/1002/georef/map.wld");
+    expect(res.status).toBe(404);
+  });
+});
+
+describe("GCP write-back", () => {
+  // Keeps GCP 1, moves GCP 2 east, drops GCP 3 and adds a new one
+  const allmapsGcps = [
+    { x: 100, y: 200, lon: 77.55, lat: 13.05 },
+    { x: 3900, y: 250, lon: 77.69, lat: 13.04 },
+    { x: 500, y: 500, lon: 77.5, lat: 13.0 },
+  ];
+
+  function sync(path: string, body: object, apiKey?: string) {
+    return request(env, path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("previews the diff without writing or an API key", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync?dryRun=1", { gcps: allmapsGcps });
+    const result = await res.json();
+
+    expect(res.status).toBe(200);
+    expect(result.dryRun).toBe(true);
+    expect(result.diff.unchanged).toBe(1);
+    expect(result.diff.update.map((u: { id: string }) => u.id)).toEqual(["2"]);
+    expect(result.diff.delete.map((d: { id: string }) => d.id)).toEqual(["3"]);
+    expect(result.diff.create).toHaveLength(1);
+    expect(mapwarper.writes).toHaveLength(0);
+  });
+
+  it("applies deletes, updates and creates, then re-warps", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync", { gcps: allmapsGcps, rewarp: true }, API_KEY);
+    const result = await res.json();
+
+    expect(result.applied).toEqual({ created: 1, updated: 1, deleted: 1 });
+    expect(result.rewarped).toBe(true);
+    expect(mapwarper.writes.map(w => `${w.method} ${w.path}`)).toEqual([
+      "DELETE /api/v1/gcps/3",
+      "PATCH /api/v1/gcps/2",
+      "POST /api/v1/gcps",
+      "POST /api/v1/maps/1001/rectify",
+    ]);
+    expect(mapwarper.writes[2].body).toEqual({
+      data: { type: "gcps", attributes: { map_id: 1001, x: 500, y: 500, lon: 77.5, lat: 13.0 } },
+    });
+  });
+
+  it("re-warps with the warp method matching the Allmaps transformation", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync", {
+      gcps: allmapsGcps,
+      rewarp: true,
+      transformation: { type: "thinPlateSpline" },
+    }, API_KEY);
+
+    expect((await res.json()).transformOptions).toBe("tps");
+    expect(mapwarper.writes.at(-1)).toEqual({
+      method: "POST",
+      path: "/api/v1/maps/1001/rectify",
+      body: { transform_options: "tps" },
+    });
+  });
+
+  it("requires an API key to apply changes", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync", { gcps: allmapsGcps });
+    expect(res.status).toBe(400);
+  });
+
+  it("passes MapWarper's rejection of the API key through as 401", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync", { gcps: allmapsGcps }, "wrong-key");
+    expect(res.status).toBe(401);
+    expect(mapwarper.writes).toHaveLength(0);
+  });
+
+  it("rejects malformed GCPs with 400", async () => {
+    const res = await sync("/mapwarper/maps/1001/georef/sync?dryRun=1", { gcps: [{ x: 1 }] });
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("mask write-back", () => {
+  // IIIF coordinates of the fixture mask, inset by a further 50 pixels
+  const resourceMask = [[100, 100], [3900, 100], [3900, 2900], [100, 2900]];
+
+  function post(path: string, body: object, apiKey?: string) {
+    return request(env, path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("builds a GML mask with MapWarper's bottom-up Y axis", async () => {
+    const res = await post("/mapwarper/maps/1001/georef/mask.gml", { resourceMask });
+    const gml = await res.text();
+
+    expect(res.status).toBe(200);
+    expect(res.headers.get("Content-Type")).toBe("application/gml+xml");
+    expect(res.headers.get("Content-Disposition")).toContain("mask-1001.gml");
+    expect(gml).toContain(">100,2900 3900,2900 3900,100 100,100 100,2900</gml:coordinates>");
+    expect(mapwarper.writes).toHaveLength(0);
+  });
+
+  it("writes every part of a multi-polygon mask, holes included", async () => {
+    const holed = [
+      [[[100, 100], [3900, 100], [3900, 2900], [100, 2900]], [[1000, 1000], [2000, 1000], [2000, 2000]]],
+      [[[3950, 10], [3990, 10], [3990, 50]]],
+    ];
+    const res = await post("/mapwarper/maps/1001/georef/mask.gml", { resourceMask: holed });
+
+    expect(parseGmlMask(await res.text())).toEqual([
+      [[[100, 2900], [3900, 2900], [3900, 100], [100, 100]], [[1000, 2000], [2000, 2000], [2000, 1000]]],
+      [[[3950, 2990], [3990, 2990], [3990, 2950]]],
+    ]);
+  });
+
+  it("rejects masks with fewer than 3 points", async () => {
+    const res = await post("/mapwarper/maps/1001/georef/mask.gml", { resourceMask: [[0, 0], [1, 1]] });
+    expect(res.status).toBe(400);
+  });
+});